@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+/**
+ * iCalendar (RFC 5545) feeds of homework, for families and teachers to
+ * subscribe to from their phone calendar.
+ */
+const PRODID = '-//Arts & Media School Islington//Homework Planner//EN';
+
+// UIDs must stay the same across feed refreshes so calendar apps update
+// events in place; they are derived from the homework id only
+const UID_DOMAIN = 'homework-planner';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 3.1),
+ * never splitting a multi-byte character
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * `YYYYMMDD` (UTC) for an all-day DATE value
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * `YYYYMMDDTHHMMSSZ` for a UTC DATE-TIME value
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * One all-day VEVENT. `event` has uid, date, summary and optional
+ * description, url, attachments (`{ url, mimeType }`) and updatedAt.
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || Date.now())}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(event.date, 1))}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  (event.attachments || []).forEach(file => {
+    lines.push(`ATTACH${file.mimeType ? `;FMTTYPE=${file.mimeType}` : ''}:${file.url}`);
+  });
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document with CRLF line endings
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function describeHomework(hw) {
+  return [
+    [hw.subject, hw.className].filter(Boolean).join(' · '),
+    hw.description,
+    hw.estimatedMinutes ? `Estimated time: ${hw.estimatedMinutes} minutes` : '',
+    hw.linkUrl || '',
+    // Not every calendar app shows ATTACH, so the links go in the description too
+    (hw.attachments || []).map(file => `${file.filename}: ${file.url}`).join('\n')
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Event for a homework's due date. `hw.attachments`, when given, need signed
+ * download links: calendar apps fetch them without signing in.
+ */
+function homeworkEvent(hw) {
+  return {
+    uid: `${hw.id}@${UID_DOMAIN}`,
+    date: hw.dueDate,
+    summary: `${hw.subject ? `${hw.subject}: ` : ''}${hw.title}`,
+    description: describeHomework(hw),
+    url: hw.linkUrl,
+    attachments: hw.attachments,
+    updatedAt: hw.updatedAt
+  };
+}
+
+/**
+ * Event reminding the setting teacher to mark a homework `markingDays` after it's due
+ */
+function markingEvent(hw, markingDays) {
+  return {
+    uid: `${hw.id}-marking@${UID_DOMAIN}`,
+    date: addDays(hw.dueDate, markingDays),
+    summary: `Mark: ${hw.title}${hw.className ? ` (${hw.className})` : ''}`,
+    description: describeHomework(hw),
+    updatedAt: hw.updatedAt
+  };
+}
+
+/**
+ * Private teacher feed URLs carry a random token; only its hash is stored
+ */
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  buildCalendar,
+  homeworkEvent,
+  markingEvent,
+  generateFeedToken,
+  hashFeedToken
+};
@@ -0,0 +1,60 @@
+const { normalizeYearGroup, classKey } = require('./students');
+
+/**
+ * Pick the class fields out of a request body, trimmed. Fields the body
+ * doesn't mention are left out, so the result can be merged over a stored class.
+ */
+function classFields(body) {
+  const fields = {};
+  if (body.code !== undefined) {
+    fields.code = String(body.code || '').trim();
+    fields.codeKey = classKey(fields.code);
+  }
+  if (body.yearGroup !== undefined) fields.yearGroup = normalizeYearGroup(body.yearGroup);
+  if (body.subject !== undefined) fields.subject = String(body.subject || '').trim();
+  if (body.teachers !== undefined) {
+    fields.teachers = Array.isArray(body.teachers)
+      ? Array.from(new Set(body.teachers.map(t => String(t).trim().toLowerCase()).filter(Boolean)))
+      : body.teachers;
+  }
+  return fields;
+}
+
+/**
+ * Returns an error message, or null when the class can be stored
+ */
+function validateClass(klass) {
+  if (!klass.code) {
+    return 'Class code is required';
+  }
+  if (!klass.yearGroup) {
+    return 'Year group is required';
+  }
+  if (!klass.subject) {
+    return 'Subject is required';
+  }
+  if (!Array.isArray(klass.teachers)) {
+    return 'Teachers must be a list of email addresses';
+  }
+  return null;
+}
+
+/**
+ * Class details for the public calendar filters; the roster stays private
+ */
+function publicClass(klass) {
+  return {
+    id: klass.id,
+    code: klass.code,
+    yearGroup: klass.yearGroup,
+    subject: klass.subject,
+    teachers: klass.teachers || [],
+    studentCount: (klass.studentIds || []).length
+  };
+}
+
+module.exports = {
+  classFields,
+  validateClass,
+  publicClass
+};
@@ -0,0 +1,76 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+ * newlines inside quotes. Handles a UTF-8 BOM and \r\n or \n line endings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into `{ headers, rows }`, each row an object
+ * keyed by header name
+ */
+function parseCsvObjects(text) {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map(h => h.trim());
+  const rows = dataRows.map(cells => headers.reduce((obj, header, i) => {
+    obj[header] = (cells[i] || '').trim();
+    return obj;
+  }, {}));
+  return { headers, rows };
+}
+
+/**
+ * Write rows of cells as CSV. Cells that a spreadsheet would run as a formula
+ * (starting with = + - or @) are prefixed with ' so they open as text.
+ */
+function toCsv(rows) {
+  const cell = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
@@ -0,0 +1,159 @@
+/**
+ * Scheduled homework digest emails. Each job runs on some weekdays at a time
+ * of day and sends every subscriber the homework due in a window of days after
+ * the run, grouped by the year groups and classes they follow, optionally
+ * with the planner PDF for those days attached.
+ *
+ * Times are in the server's local time zone (set TZ, e.g. Europe/London); a
+ * job's window is counted in days from the day it runs.
+ */
+const SETTINGS_ID = 'digests';
+
+// A run more than this late (the server was down at the time) is skipped
+// rather than sending yesterday's news
+const CATCH_UP_MS = 2 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_JOBS = [
+  {
+    id: 'daily',
+    name: 'Due tomorrow',
+    days: [0, 1, 2, 3, 4], // Sunday to Thursday
+    time: '17:00',
+    windowStart: 1,
+    windowDays: 1,
+    attachPdf: false,
+    enabled: true
+  },
+  {
+    id: 'weekly',
+    name: 'Week ahead',
+    days: [0],
+    time: '18:00',
+    windowStart: 1,
+    windowDays: 7,
+    attachPdf: false,
+    enabled: true
+  }
+];
+
+/**
+ * `YYYY-MM-DD` of a date in local time
+ */
+function localDay(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Returns an error message, or null when the jobs can be saved
+ */
+function validateJobs(jobs) {
+  if (!Array.isArray(jobs)) {
+    return 'Jobs must be a list';
+  }
+  const ids = new Set();
+  for (const job of jobs) {
+    if (!job || !/^[a-z0-9-]+$/.test(job.id || '')) {
+      return 'Each job needs an id of lower-case letters, digits and dashes';
+    }
+    if (ids.has(job.id)) {
+      return `Job id "${job.id}" is used twice`;
+    }
+    ids.add(job.id);
+    if (!Array.isArray(job.days) || !job.days.length ||
+        job.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return `Job "${job.id}" needs days as weekday numbers from 0 (Sunday) to 6 (Saturday)`;
+    }
+    if (!TIME_PATTERN.test(job.time || '')) {
+      return `Job "${job.id}" needs a time as HH:MM`;
+    }
+    if (!Number.isInteger(job.windowStart) || job.windowStart < 0 || job.windowStart > 30) {
+      return `Job "${job.id}" needs a windowStart between 0 and 30 days`;
+    }
+    if (!Number.isInteger(job.windowDays) || job.windowDays < 1 || job.windowDays > 31) {
+      return `Job "${job.id}" needs windowDays between 1 and 31`;
+    }
+    if (job.attachPdf !== undefined && typeof job.attachPdf !== 'boolean') {
+      return `Job "${job.id}" needs attachPdf as true or false`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A validated job with defaults filled in
+ */
+function normalizeJob(job) {
+  return {
+    id: job.id,
+    name: String(job.name || job.id).trim(),
+    days: Array.from(new Set(job.days)).sort(),
+    time: job.time,
+    windowStart: job.windowStart,
+    windowDays: job.windowDays,
+    attachPdf: job.attachPdf === true,
+    enabled: job.enabled !== false
+  };
+}
+
+/**
+ * The latest time at or before `now` that a job was due to run, or null when
+ * it isn't due on any of the last seven days
+ */
+function lastScheduledTime(job, now = new Date()) {
+  const [hours, minutes] = job.time.split(':').map(Number);
+  for (let back = 0; back <= 7; back++) {
+    const slot = new Date(now);
+    slot.setDate(slot.getDate() - back);
+    slot.setHours(hours, minutes, 0, 0);
+    if (slot <= now && job.days.includes(slot.getDay())) return slot;
+  }
+  return null;
+}
+
+/**
+ * The next time after `now` a job is due to run
+ */
+function nextScheduledTime(job, now = new Date()) {
+  const [hours, minutes] = job.time.split(':').map(Number);
+  for (let ahead = 0; ahead <= 7; ahead++) {
+    const slot = new Date(now);
+    slot.setDate(slot.getDate() + ahead);
+    slot.setHours(hours, minutes, 0, 0);
+    if (slot > now && job.days.includes(slot.getDay())) return slot;
+  }
+  return null;
+}
+
+/**
+ * Whether a job's latest slot is recent enough to run now
+ */
+function isDue(job, slot, now = new Date()) {
+  return Boolean(job.enabled && slot && now - slot <= CATCH_UP_MS);
+}
+
+/**
+ * First and last due day (`YYYY-MM-DD`) a run at `runAt` covers
+ */
+function digestWindow(job, runAt) {
+  const start = new Date(runAt);
+  start.setDate(start.getDate() + job.windowStart);
+  const end = new Date(start);
+  end.setDate(end.getDate() + job.windowDays - 1);
+  return { from: localDay(start), to: localDay(end) };
+}
+
+module.exports = {
+  SETTINGS_ID,
+  DEFAULT_JOBS,
+  localDay,
+  validateJobs,
+  normalizeJob,
+  lastScheduledTime,
+  nextScheduledTime,
+  isDue,
+  digestWindow
+};
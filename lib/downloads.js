@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Downloads of uploaded files. Files are only served through routes that
+ * check who is asking. Emails and calendar feeds are read where nobody is
+ * signed in, so they carry signed links instead. A signed link holds an
+ * expiry time and an HMAC of the file and that time: it works for anyone
+ * until it expires, and can't be altered to reach another file.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LINK_DAYS = 30;
+
+function generateDownloadKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * When a link made now for `days` expires, in seconds since the epoch. Links
+ * run to the end of a UTC day, so every link for a file made on one day is
+ * the same and calendar apps don't see events change on each feed refresh.
+ */
+function linkExpiry(days, now = new Date()) {
+  return Math.ceil((now.getTime() + days * DAY_MS) / DAY_MS) * DAY_MS / 1000;
+}
+
+function signature(resource, expires, key) {
+  return crypto.createHmac('sha256', key).update(`${resource}\n${expires}`).digest('base64url');
+}
+
+/**
+ * The query string that signs a link to `resource` (e.g. `attachment:<id>`)
+ * until `expires`
+ */
+function signDownload(resource, expires, key) {
+  return `expires=${expires}&signature=${signature(resource, expires, key)}`;
+}
+
+/**
+ * Check the `expires` and `signature` query parameters of a signed link.
+ * Returns null when the link is good, else 'invalid' or 'expired'.
+ */
+function verifyDownload(resource, { expires, signature: given }, key, now = new Date()) {
+  const seconds = Number(expires);
+  if (!Number.isInteger(seconds) || typeof given !== 'string') return 'invalid';
+  const expected = Buffer.from(signature(resource, seconds, key));
+  const actual = Buffer.from(given);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'invalid';
+  }
+  return seconds * 1000 < now.getTime() ? 'expired' : null;
+}
+
+/**
+ * A Content-Disposition header that always downloads the file under its
+ * original name. Browsers that don't read the UTF-8 `filename*` get an ASCII
+ * copy with anything that could break the header replaced.
+ */
+function contentDisposition(filename) {
+  const name = String(filename || 'download').replace(/[\r\n]/g, ' ');
+  const fallback = name.replace(/[^\x20-\x7e]|["\\%;]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  MAX_LINK_DAYS,
+  generateDownloadKey,
+  linkExpiry,
+  signDownload,
+  verifyDownload,
+  contentDisposition
+};
@@ -0,0 +1,141 @@
+const { html } = require('./templates');
+
+/**
+ * The emails the planner sends. Each template returns `{ subject, html, text }`;
+ * the HTML comes from auto-escaping templates and the text version is written
+ * out alongside it rather than derived from the markup.
+ */
+
+function layout(subject, body, footer) {
+  return html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${subject}</title></head>
+<body style="font-family: Arial, sans-serif; color: #111827;">
+<h2>${subject}</h2>
+${body}
+${footer && html`<p style="color: #6b7280;"><small>${footer}</small></p>`}
+</body>
+</html>`.toString();
+}
+
+function describeWindow(window) {
+  return window.from === window.to ? window.from : `${window.from} to ${window.to}`;
+}
+
+function dueDay(hw) {
+  return hw.dueDate.slice(0, 10);
+}
+
+/**
+ * Links to a homework's files. `hw.attachments` carry signed download links,
+ * since whoever reads the email isn't signed in.
+ */
+function fileLinks(hw) {
+  const files = hw.attachments || [];
+  return files.length > 0 && html`<br>Files: ${files.map((file, i) => html`${i > 0 && ', '}<a href="${file.url}">${file.filename}</a>`)}`;
+}
+
+function fileLines(hw) {
+  return (hw.attachments || []).map(file => `  ${file.filename}: ${file.url}`);
+}
+
+/**
+ * A teacher's reminder of their homework due on `date`
+ */
+function notificationEmail({ date, homeworks }) {
+  const subject = `Upcoming Homeworks - ${date.toDateString()}`;
+  const due = hw => new Date(hw.dueDate).toLocaleString();
+
+  const body = html`<p>You have ${homeworks.length} homeworks due soon:</p>
+<ul>
+${homeworks.map(hw => html`<li>
+<strong>${hw.title}</strong> (${hw.subject})
+<br>Due: ${due(hw)}
+${hw.priority && html`<br>Priority: ${hw.priority}`}
+${hw.description && html`<p>${hw.description}</p>`}
+${fileLinks(hw)}
+</li>
+`)}</ul>
+<p>Log in to your homework planner for more details.</p>`;
+
+  const text = [
+    subject,
+    '',
+    `You have ${homeworks.length} homeworks due soon:`,
+    ...homeworks.map(hw => [
+      '',
+      `- ${hw.title} (${hw.subject})`,
+      `  Due: ${due(hw)}`,
+      hw.priority ? `  Priority: ${hw.priority}` : null,
+      hw.description ? `  ${hw.description}` : null,
+      ...fileLines(hw)
+    ].filter(line => line !== null).join('\n')),
+    '',
+    'Log in to your homework planner for more details.'
+  ].join('\n');
+
+  return { subject, html: layout(subject, body), text };
+}
+
+/**
+ * One subscriber's digest: `sections` is a list of `{ label, homeworks }`,
+ * one per year group or class they follow
+ */
+function digestEmail({ job, window, sections, unsubscribeUrl }) {
+  const subject = `${job.name}: homework due ${describeWindow(window)}`;
+
+  const body = sections.map(section => html`<h3>${section.label}</h3>
+<ul>
+${section.homeworks.map(hw => html`<li><strong>${hw.title}</strong> (${hw.subject}) - due ${dueDay(hw)}${hw.description && html`<br>${hw.description}`}${fileLinks(hw)}</li>
+`)}</ul>
+`);
+  const footer = html`You get these emails because you subscribed to homework updates. <a href="${unsubscribeUrl}">Unsubscribe</a>`;
+
+  const line = hw => [
+    dueDay(hw),
+    hw.subject,
+    hw.title,
+    hw.estimatedMinutes ? `(${hw.estimatedMinutes} min)` : ''
+  ].filter(Boolean).join(' - ');
+  const text = [
+    subject,
+    ...sections.map(section => [
+      '',
+      section.label,
+      ...section.homeworks.flatMap(hw => [`- ${line(hw)}`, ...fileLines(hw)])
+    ].join('\n')),
+    '',
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n');
+
+  return { subject, html: layout(subject, html`${body}`, footer), text };
+}
+
+/**
+ * The double opt-in email asking someone to confirm a subscription
+ */
+function confirmationEmail({ groupLabels, confirmUrl }) {
+  const subject = 'Confirm your homework email subscription';
+  const groups = groupLabels.join(', ');
+
+  const body = html`<p>Someone (hopefully you) asked for homework emails for ${groups}.</p>
+<p><a href="${confirmUrl}">Confirm my subscription</a></p>`;
+  const footer = 'If you didn\'t ask for this, ignore this email and you won\'t hear from us again.';
+
+  const text = [
+    subject,
+    '',
+    `Someone (hopefully you) asked for homework emails for ${groups}.`,
+    `Confirm your subscription: ${confirmUrl}`,
+    '',
+    footer
+  ].join('\n');
+
+  return { subject, html: layout(subject, body, footer), text };
+}
+
+module.exports = {
+  notificationEmail,
+  digestEmail,
+  confirmationEmail
+};
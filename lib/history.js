@@ -0,0 +1,95 @@
+/**
+ * Append-only change history for homework. Each entry records who did what
+ * and which fields changed, plus a snapshot of the homework afterwards so any
+ * version can be restored.
+ */
+const ACTIONS = [
+  'create', 'update', 'complete', 'attachment_added', 'attachment_removed',
+  'delete', 'restore', 'purge', 'revert'
+];
+
+// Bookkeeping fields that change on every save and would only add noise
+const IGNORED_FIELDS = ['updatedAt', 'version'];
+
+// Fields a revert never touches: identity, the version (a revert is a new
+// one), and series membership, which may have moved on since (a series split
+// gives its later occurrences a new series)
+const KEPT_ON_REVERT = ['id', 'createdAt', 'updatedAt', 'version', 'seriesId', 'occurrenceDate'];
+
+// Whoever made a change outside a request, such as generating recurring homework
+const SYSTEM_ACTOR = { email: null, name: 'System', role: 'system' };
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * `{ field: { from, to } }` for every field that differs between two versions
+ * of a record. Either side may be null for a create or delete.
+ */
+function diffRecords(before, after) {
+  const fields = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  const changes = {};
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!sameValue(from, to)) {
+      changes[field] = {
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to
+      };
+    }
+  }
+  return changes;
+}
+
+/**
+ * The record stored for one change. `changes` defaults to the diff between
+ * `before` and `after`; `details` holds anything else worth showing, such as
+ * the version a revert went back to.
+ */
+function historyEntry({ id, homeworkId, version, action, actor, before, after, changes, details, at }) {
+  return {
+    id,
+    homeworkId,
+    version,
+    action,
+    actorEmail: actor.email,
+    actorName: actor.name,
+    actorRole: actor.role,
+    at: at || new Date().toISOString(),
+    changes: changes || diffRecords(before, after),
+    details: details || null,
+    snapshot: after || null
+  };
+}
+
+/**
+ * The homework as it should be after reverting `current` to `snapshot`
+ */
+function revertedRecord(current, snapshot) {
+  const restored = { ...snapshot };
+  KEPT_ON_REVERT.forEach(field => {
+    if (field in current) restored[field] = current[field];
+    else delete restored[field];
+  });
+  return restored;
+}
+
+/**
+ * An entry as shown by the history endpoint, without the full snapshot
+ */
+function publicEntry(entry) {
+  const { snapshot, ...rest } = entry;
+  return { ...rest, revertable: Boolean(snapshot) };
+}
+
+module.exports = {
+  ACTIONS,
+  SYSTEM_ACTOR,
+  diffRecords,
+  historyEntry,
+  revertedRecord,
+  publicEntry
+};
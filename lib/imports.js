@@ -0,0 +1,412 @@
+const { parseCsvObjects } = require('./csv');
+const { normalizeYearGroup, classKey } = require('./students');
+const { HOMEWORK_SCHEMA } = require('./schemas');
+
+/**
+ * Homework import from spreadsheets saved as CSV. Columns are mapped onto
+ * homework fields (suggested from the header names), due dates are read in a
+ * detected or chosen format, and free-text year group and class values are
+ * mapped onto year groups and classes the planner knows.
+ *
+ * Exports use the same column names, so an exported file imports as it is.
+ *
+ * Every import is kept as a batch: a report of each row (valid, invalid or a
+ * likely duplicate), the rows that were imported, and whether the batch has
+ * been rolled back. A dry run leaves the batch pending until it's committed.
+ */
+const MAX_IMPORT_ROWS = 2000;
+
+const BATCH_STATUSES = ['pending', 'committed', 'rolledBack'];
+
+// How long a dry run can wait to be committed
+const PENDING_HOURS = 24;
+
+// The fields of a JSON export item an import keeps
+const HOMEWORK_FIELDS = [
+  'title', 'subject', 'description', 'dueDate', 'priority', 'tags',
+  'yearGroup', 'className', 'classId', 'estimatedMinutes', 'linkUrl', 'markScheme'
+];
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const EXPORT_COLUMNS = [
+  ['Title', hw => hw.title],
+  ['Subject', hw => hw.subject],
+  ['Description', hw => hw.description],
+  ['Due date', hw => hw.dueDate.slice(0, 10)],
+  ['Year group', hw => hw.yearGroup],
+  ['Class', hw => hw.className],
+  ['Minutes', hw => hw.estimatedMinutes],
+  ['Priority', hw => hw.priority],
+  ['Tags', hw => hw.tags.join('; ')],
+  ['Link', hw => hw.linkUrl],
+  ['Teacher', hw => hw.teacherName || hw.teacherEmail],
+  ['Completed', hw => (hw.completed ? 'Yes' : 'No')]
+];
+
+// Header names each field is recognised by, compared without case, spaces or punctuation
+const IMPORT_FIELDS = {
+  title: ['title', 'homework', 'task', 'name'],
+  subject: ['subject'],
+  description: ['description', 'details', 'instructions', 'notes'],
+  dueDate: ['duedate', 'due', 'deadline', 'date', 'handin', 'handindate'],
+  yearGroup: ['yeargroup', 'year', 'yr'],
+  class: ['class', 'classcode', 'classname', 'group', 'set'],
+  estimatedMinutes: ['estimatedminutes', 'minutes', 'mins', 'time', 'duration'],
+  priority: ['priority'],
+  tags: ['tags', 'tag', 'type'],
+  linkUrl: ['link', 'linkurl', 'url']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NUMBER_WORDS = {
+  seven: '7', eight: '8', nine: '9', ten: '10', eleven: '11', twelve: '12', thirteen: '13'
+};
+
+const NUMERIC_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/;
+
+/**
+ * Formats due dates can be read in. Each turns a cell into [year, month, day]
+ * numbers, or null when the cell isn't in that format.
+ */
+const DATE_FORMATS = {
+  'YYYY-MM-DD': value => {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(value);
+    return match && [match[1], match[2], match[3]];
+  },
+  'DD/MM/YYYY': value => {
+    const match = NUMERIC_DATE.exec(value);
+    return match && [match[3], match[2], match[1]];
+  },
+  'MM/DD/YYYY': value => {
+    const match = NUMERIC_DATE.exec(value);
+    return match && [match[3], match[1], match[2]];
+  },
+  'D MMM YYYY': value => {
+    // "3 Nov 2026", "3rd November 2026", "Tue 3 Nov 2026"
+    const match = /^(?:[a-z]+,?\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})$/i.exec(value);
+    const month = match && MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+    return match && month >= 0 ? [match[3], month + 1, match[1]] : null;
+  }
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * `{ field: header }` for each field a column looks like it holds; fields
+ * with no matching column are null
+ */
+function suggestMapping(headers) {
+  const used = new Set();
+  const mapping = {};
+  Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+    const header = aliases
+      .map(alias => headers.find(h => !used.has(h) && normalizeHeader(h) === alias))
+      .find(Boolean);
+    mapping[field] = header || null;
+    if (header) used.add(header);
+  });
+  return mapping;
+}
+
+/**
+ * Returns an error message, or null when every mapped column is in the file
+ */
+function validateMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object') {
+    return 'A column mapping is required';
+  }
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!has(IMPORT_FIELDS, field)) {
+      return `Unknown field "${field}"`;
+    }
+    if (header && !headers.includes(header)) {
+      return `Column "${header}" is not in the file`;
+    }
+  }
+  if (!mapping.title || !mapping.dueDate) {
+    return 'Choose the columns for the title and due date';
+  }
+  return null;
+}
+
+/**
+ * A date cell as `YYYY-MM-DD`, or null when it isn't a real date in `format`
+ */
+function parseDay(value, format) {
+  const parts = has(DATE_FORMATS, format) && DATE_FORMATS[format](String(value || '').trim());
+  if (!parts) return null;
+  let [year, month, day] = parts.map(Number);
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The formats that can read the most of `values`, most likely first; usually
+ * one that reads them all. A file whose dates all read both ways (3/4/2026)
+ * is taken as day first.
+ */
+function detectDateFormats(values) {
+  const cells = values.map(value => String(value || '').trim()).filter(Boolean);
+  const counts = Object.keys(DATE_FORMATS).map(format => [format, cells.filter(cell => parseDay(cell, format)).length]);
+  const best = Math.max(...counts.map(([, count]) => count));
+  return best ? counts.filter(([, count]) => count === best).map(([format]) => format) : [];
+}
+
+/**
+ * A free-text year group ("Year 9", "Y9", "year nine") as the planner's year
+ * group, or null when it doesn't look like one
+ */
+function suggestYearGroup(value) {
+  const normalized = normalizeYearGroup(value).replace(/^y\s*/i, '').toLowerCase();
+  const year = NUMBER_WORDS[normalized] || normalized;
+  return /^\d{1,2}$/.test(year) ? String(Number(year)) : null;
+}
+
+/**
+ * The class a free-text value names: its code ("9 ma 1") or a value starting
+ * with it ("9Ma1 - Maths"). Resolves to the class id, or null.
+ */
+function suggestClass(value, classes) {
+  const key = classKey(value);
+  if (!key) return null;
+  const exact = classes.find(klass => klass.codeKey === key);
+  if (exact) return exact.id;
+  const prefixed = classes.find(klass => key.startsWith(klass.codeKey) && /^[^a-z0-9]/.test(key.slice(klass.codeKey.length)));
+  return prefixed ? prefixed.id : null;
+}
+
+/**
+ * The distinct year group and class values in the mapped columns, with the
+ * year group or class id each looks like
+ */
+function valueSuggestions(rows, mapping, classes) {
+  const distinct = field => (mapping[field]
+    ? Array.from(new Set(rows.map(row => row[mapping[field]]).filter(Boolean))).sort()
+    : []);
+  return {
+    yearGroup: distinct('yearGroup').map(value => ({ value, suggestion: suggestYearGroup(value) })),
+    class: distinct('class').map(value => ({ value, suggestion: suggestClass(value, classes) }))
+  };
+}
+
+/**
+ * Homeworks as spreadsheet rows, headed by the export column names
+ */
+function exportRows(homeworks) {
+  return [
+    EXPORT_COLUMNS.map(([header]) => header),
+    ...homeworks.map(hw => EXPORT_COLUMNS.map(([, value]) => value(hw)))
+  ];
+}
+
+/**
+ * Read an import file: `{ headers, rows }`, or `{ error }` when it can't be imported
+ */
+function readImportCsv(csv) {
+  if (!csv || typeof csv !== 'string') {
+    return { error: 'CSV is required' };
+  }
+  const { headers, rows } = parseCsvObjects(csv);
+  if (!headers.length || !rows.length) {
+    return { error: 'The file has no rows to import' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can have at most ${MAX_IMPORT_ROWS} rows` };
+  }
+  return { headers, rows };
+}
+
+/**
+ * One row as the body POST /api/homework takes. `values` maps year group and
+ * class cells onto a year group and class id; a class cell with no mapping is
+ * looked up by code. Returns `{ body }` or `{ error }`.
+ */
+function rowToHomework(row, { mapping, dateFormat, values = {} }) {
+  // A leading ' is how exports keep formula-like text from running; drop it again
+  const cell = field => (mapping[field] ? String(row[mapping[field]] || '').trim().replace(/^'(?=[=+\-@])/, '') : '');
+  const body = {
+    title: cell('title'),
+    subject: cell('subject'),
+    description: cell('description')
+  };
+
+  const due = cell('dueDate');
+  if (due) {
+    body.dueDate = parseDay(due, dateFormat);
+    if (!body.dueDate) {
+      return { error: `Due date "${due}" is not a ${dateFormat} date` };
+    }
+  }
+
+  const year = cell('yearGroup');
+  if (year) {
+    const yearValues = values.yearGroup || {};
+    body.yearGroup = has(yearValues, year) ? yearValues[year] : (suggestYearGroup(year) || year);
+  }
+
+  const klass = cell('class');
+  if (klass) {
+    const classValues = values.class || {};
+    if (!has(classValues, klass)) body.className = klass;
+    else if (classValues[klass]) body.classId = classValues[klass];
+  }
+
+  const minutes = cell('estimatedMinutes');
+  if (minutes) body.estimatedMinutes = minutes;
+  const priority = cell('priority').toLowerCase();
+  if (priority) body.priority = priority;
+  const tags = cell('tags');
+  if (tags) body.tags = tags.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+  const link = cell('linkUrl');
+  if (link) body.linkUrl = link;
+
+  return { body };
+}
+
+/**
+ * One item of a JSON import as the body POST /api/homework takes: `{ body }`,
+ * or `{ error, errors }` when it isn't a homework object or has fields a
+ * homework doesn't. Fields the server sets, which every export item has, are
+ * left behind rather than refused.
+ */
+function itemToHomework(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'Each item must be a homework object' };
+  }
+  const body = {};
+  HOMEWORK_FIELDS.forEach(field => {
+    if (item[field] !== undefined && item[field] !== null) body[field] = item[field];
+  });
+  const errors = Object.keys(item)
+    .filter(field => !(field in HOMEWORK_SCHEMA.fields) && !HOMEWORK_SCHEMA.protected.includes(field))
+    .map(field => ({ field, code: 'unknown', message: `${field} is not a ${HOMEWORK_SCHEMA.name} field` }));
+  if (errors.length) {
+    return { body, error: errors[0].message, errors };
+  }
+  return { body };
+}
+
+function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * What makes two homeworks the same for duplicate detection: the title
+ * (ignoring case and spacing), subject, due day, and class or year group
+ */
+function duplicateKey(hw) {
+  return [
+    normalizeTitle(hw.title),
+    normalizeTitle(hw.subject),
+    new Date(hw.dueDate).toISOString().slice(0, 10),
+    hw.classId || (hw.yearGroup ? `year ${hw.yearGroup}` : '')
+  ].join('|');
+}
+
+/**
+ * A new pending batch for reviewed `rows`. `source` is json or csv.
+ */
+function importBatch({ id, source, rows, createdBy, now = new Date() }) {
+  return {
+    id,
+    source,
+    status: 'pending',
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + PENDING_HOURS * 60 * 60 * 1000).toISOString(),
+    rows,
+    homeworkIds: [],
+    committedAt: null,
+    committedBy: null,
+    rolledBackAt: null,
+    rolledBackBy: null
+  };
+}
+
+/**
+ * The lines a commit imports when none are picked: every valid row.
+ * Duplicates are only imported when asked for by line.
+ */
+function defaultLines(batch) {
+  return batch.rows.filter(row => row.status === 'valid').map(row => row.line);
+}
+
+/**
+ * Returns an error message, or null when `lines` can be imported from `batch`
+ */
+function validateLines(batch, lines) {
+  if (!Array.isArray(lines) || !lines.length) {
+    return 'Choose at least one line to import';
+  }
+  for (const line of lines) {
+    const row = batch.rows.find(r => r.line === line);
+    if (!row) {
+      return `Line ${line} is not in this import`;
+    }
+    if (row.status === 'invalid') {
+      return `Line ${line} can't be imported: ${row.errors[0]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A batch as returned by the import endpoints, without the row bodies; the
+ * row report is left out of lists
+ */
+function publicImportBatch(batch, { withRows = true } = {}) {
+  const count = status => batch.rows.filter(row => row.status === status).length;
+  const result = {
+    id: batch.id,
+    source: batch.source,
+    status: batch.status,
+    createdBy: batch.createdBy,
+    createdAt: batch.createdAt,
+    expiresAt: batch.status === 'pending' ? batch.expiresAt : null,
+    committedAt: batch.committedAt,
+    rolledBackAt: batch.rolledBackAt,
+    summary: {
+      total: batch.rows.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicate: count('duplicate'),
+      imported: batch.homeworkIds.length
+    }
+  };
+  if (withRows) {
+    result.rows = batch.rows.map(({ body, ...row }) => row);
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  BATCH_STATUSES,
+  EXPORT_FORMATS,
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  suggestMapping,
+  validateMapping,
+  parseDay,
+  detectDateFormats,
+  valueSuggestions,
+  exportRows,
+  readImportCsv,
+  rowToHomework,
+  itemToHomework,
+  duplicateKey,
+  importBatch,
+  defaultLines,
+  validateLines,
+  publicImportBatch
+};
@@ -0,0 +1,208 @@
+/**
+ * Marks and written feedback. A homework can have a mark scheme:
+ *
+ * - points: `{ type: 'points', total: 20 }`, marked with `points`
+ * - grades: `{ type: 'grades', grades: ['A', 'B', 'C'] }`, best first, marked
+ *   with `grade`
+ * - rubric: `{ type: 'rubric', criteria: [{ name, points }] }`, marked with
+ *   `criteria`, the points for each criterion in order
+ *
+ * Homework without a scheme can still get written feedback. Each mark keeps
+ * its score as a percentage (for grades, by place in the list) along with a
+ * copy of what it was out of, so later changes to the scheme don't change
+ * marks already given.
+ */
+const SCHEME_TYPES = ['points', 'grades', 'rubric'];
+const MAX_GRADES = 20;
+const MAX_CRITERIA = 20;
+const MAX_POINTS = 1000;
+const MAX_FEEDBACK_LENGTH = 5000;
+
+// Percentage bands for mark distributions, lowest first
+const PERCENT_BANDS = ['0-9', '10-19', '20-29', '30-39', '40-49', '50-59', '60-69', '70-79', '80-89', '90-100'];
+
+const isPoints = (value, max) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+/**
+ * Check a mark scheme from a request. Returns `{ value }` with the scheme as
+ * stored, or `{ error }`.
+ */
+function validateMarkScheme(input) {
+  const type = input && input.type;
+  if (!SCHEME_TYPES.includes(type)) {
+    return { error: `Mark scheme type must be one of: ${SCHEME_TYPES.join(', ')}` };
+  }
+
+  if (type === 'points') {
+    const total = Number(input.total);
+    if (!Number.isInteger(total) || total < 1 || total > MAX_POINTS) {
+      return { error: `A points mark scheme needs a whole number total from 1 to ${MAX_POINTS}` };
+    }
+    return { value: { type, total } };
+  }
+
+  if (type === 'grades') {
+    const grades = Array.isArray(input.grades)
+      ? input.grades.map(grade => (typeof grade === 'string' ? grade.trim() : '')).filter(Boolean)
+      : [];
+    if (!grades.length || grades.length !== input.grades.length || grades.length > MAX_GRADES) {
+      return { error: `A grades mark scheme needs a list of 1 to ${MAX_GRADES} grades, best first` };
+    }
+    if (new Set(grades).size !== grades.length || grades.some(grade => grade.length > 20)) {
+      return { error: 'Grades must be different and 20 characters or fewer' };
+    }
+    return { value: { type, grades } };
+  }
+
+  const criteria = Array.isArray(input.criteria) ? input.criteria : [];
+  if (!criteria.length || criteria.length > MAX_CRITERIA) {
+    return { error: `A rubric needs 1 to ${MAX_CRITERIA} criteria` };
+  }
+  const value = [];
+  for (const criterion of criteria) {
+    const name = criterion && typeof criterion.name === 'string' ? criterion.name.trim() : '';
+    const points = criterion ? Number(criterion.points) : NaN;
+    if (!name || name.length > 100) {
+      return { error: 'Each rubric criterion needs a name of 100 characters or fewer' };
+    }
+    if (!Number.isInteger(points) || points < 1 || points > MAX_POINTS) {
+      return { error: `Rubric criterion "${name}" needs whole number points from 1 to ${MAX_POINTS}` };
+    }
+    const description = typeof criterion.description === 'string' ? criterion.description.trim().slice(0, 500) : '';
+    value.push({ name, points, description });
+  }
+  return { value: { type: 'rubric', criteria: value } };
+}
+
+/**
+ * What a scheme is marked out of: the points total, the rubric's points, or
+ * null for grades
+ */
+function schemeTotal(scheme) {
+  if (scheme.type === 'points') return scheme.total;
+  if (scheme.type === 'rubric') return scheme.criteria.reduce((sum, c) => sum + c.points, 0);
+  return null;
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Read the score of a mark (already checked against MARK_SCHEMA) against a
+ * homework's scheme. Returns `{ value }` with the score fields stored on the
+ * mark, or `{ errors }` as validate() reports them. `prefix` names the fields,
+ * e.g. `marks[2].` in a bulk request.
+ */
+function readScore(scheme, fields, prefix = '') {
+  const given = ['points', 'grade', 'criteria'].filter(field => fields[field] !== undefined && fields[field] !== null);
+  const error = (field, message) => ({ errors: [{ field: prefix + field, code: 'invalid', message }] });
+
+  if (!scheme) {
+    if (given.length) return error(given[0], 'This homework has no mark scheme; only feedback can be given');
+    return { value: { points: null, outOf: null, grade: null, breakdown: null, percent: null } };
+  }
+
+  const expected = { points: 'points', grades: 'grade', rubric: 'criteria' }[scheme.type];
+  const wrong = given.find(field => field !== expected);
+  if (wrong) return error(wrong, `This homework is marked with ${expected}, not ${wrong}`);
+  if (!given.length) {
+    return { errors: [{ field: prefix + expected, code: 'required', message: `A mark needs ${expected}` }] };
+  }
+
+  if (scheme.type === 'points') {
+    if (!isPoints(fields.points, scheme.total)) {
+      return error('points', `Points must be a number from 0 to ${scheme.total}`);
+    }
+    return {
+      value: { points: fields.points, outOf: scheme.total, grade: null, breakdown: null, percent: round(fields.points / scheme.total * 100) }
+    };
+  }
+
+  if (scheme.type === 'grades') {
+    const rank = scheme.grades.indexOf(fields.grade);
+    if (rank === -1) {
+      return error('grade', `Grade must be one of: ${scheme.grades.join(', ')}`);
+    }
+    // The best grade is 100%, the lowest 0%
+    const percent = scheme.grades.length > 1 ? round((scheme.grades.length - 1 - rank) / (scheme.grades.length - 1) * 100) : 100;
+    return { value: { points: null, outOf: null, grade: fields.grade, breakdown: null, percent } };
+  }
+
+  const scores = fields.criteria;
+  if (scores.length !== scheme.criteria.length) {
+    return error('criteria', `Give points for each of the ${scheme.criteria.length} rubric criteria, in order`);
+  }
+  const bad = scheme.criteria.findIndex((criterion, i) => !isPoints(scores[i], criterion.points));
+  if (bad !== -1) {
+    return error(`criteria[${bad}]`, `${scheme.criteria[bad].name} must be from 0 to ${scheme.criteria[bad].points} points`);
+  }
+  const points = scores.reduce((sum, score) => sum + score, 0);
+  const outOf = schemeTotal(scheme);
+  return {
+    value: {
+      points,
+      outOf,
+      grade: null,
+      breakdown: scheme.criteria.map((criterion, i) => ({ name: criterion.name, points: scores[i], outOf: criterion.points })),
+      percent: round(points / outOf * 100)
+    }
+  };
+}
+
+/**
+ * The band of PERCENT_BANDS a percentage falls in
+ */
+function percentBand(percent) {
+  return PERCENT_BANDS[Math.min(Math.floor(percent / 10), PERCENT_BANDS.length - 1)];
+}
+
+/**
+ * Average and distribution of a set of marks. Marks with only feedback count
+ * as marked but not towards the average. `grades` counts the marks given as
+ * grades.
+ */
+function markSummary(marks) {
+  const scored = marks.filter(mark => mark.percent !== null && mark.percent !== undefined);
+  const distribution = Object.fromEntries(PERCENT_BANDS.map(band => [band, 0]));
+  const grades = {};
+  scored.forEach(mark => {
+    distribution[percentBand(mark.percent)]++;
+    if (mark.grade) grades[mark.grade] = (grades[mark.grade] || 0) + 1;
+  });
+  return {
+    markedCount: marks.length,
+    scoredCount: scored.length,
+    averagePercent: scored.length ? round(scored.reduce((sum, mark) => sum + mark.percent, 0) / scored.length) : null,
+    distribution,
+    grades
+  };
+}
+
+/**
+ * A mark as teachers see it, and as the student it belongs to sees it
+ */
+function publicMark(mark) {
+  return {
+    homeworkId: mark.homeworkId,
+    studentId: mark.studentId,
+    points: mark.points,
+    outOf: mark.outOf,
+    grade: mark.grade,
+    breakdown: mark.breakdown,
+    percent: mark.percent,
+    feedback: mark.feedback,
+    markedBy: mark.markedBy,
+    markedAt: mark.markedAt,
+    updatedAt: mark.updatedAt
+  };
+}
+
+module.exports = {
+  SCHEME_TYPES,
+  PERCENT_BANDS,
+  MAX_FEEDBACK_LENGTH,
+  validateMarkScheme,
+  schemeTotal,
+  readScore,
+  markSummary,
+  publicMark
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * The email outbox. Every email is stored as a message before it's sent, and a
+ * worker delivers queued messages, so a request never fails because the mail
+ * server is slow or down. A failed attempt is retried with growing delays
+ * until it has been tried `maxAttempts` times; a permanent rejection (an SMTP
+ * 5xx reply, such as an unknown mailbox) fails the message straight away.
+ *
+ * In preview mode nothing is sent: each message is written to the preview
+ * folder as an .eml file instead, and can be viewed in the browser.
+ */
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+const TRANSPORT_MODES = ['smtp', 'preview'];
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+
+// 1 minute, then 4, 16, 64... capped at six hours
+const FIRST_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+function retryDelay(attempts) {
+  return Math.min(FIRST_RETRY_MS * Math.pow(4, attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * A new queued message. `kind` says what it is (notification, digest,
+ * confirmation); `digestRunId` links a digest to the run that queued it.
+ * `attachments` are `{ filename, contentType, content }` with the content
+ * base64-encoded, so a retry sends exactly what was queued.
+ */
+function outboxMessage({ id, kind, from, to, subject, html, text, headers, attachments, createdBy, digestRunId, now = new Date() }) {
+  return {
+    id,
+    kind,
+    from,
+    to,
+    subject,
+    html,
+    text,
+    headers: headers || {},
+    attachments: attachments || [],
+    createdBy: createdBy || null,
+    digestRunId: digestRunId || null,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    createdAt: now.toISOString(),
+    nextAttemptAt: now.toISOString(),
+    lastError: null,
+    sentAt: null,
+    messageId: null,
+    previewFile: null
+  };
+}
+
+function isPermanentFailure(err) {
+  return err.responseCode >= 500 && err.responseCode < 600;
+}
+
+/**
+ * A message after a failed attempt: queued again after a delay, or failed for
+ * good when it was rejected outright or has run out of attempts
+ */
+function afterFailure(message, err, now = new Date()) {
+  const attempts = message.attempts + 1;
+  const giveUp = isPermanentFailure(err) || attempts >= message.maxAttempts;
+  return {
+    ...message,
+    attempts,
+    status: giveUp ? 'failed' : 'queued',
+    nextAttemptAt: giveUp ? null : new Date(now.getTime() + retryDelay(attempts)).toISOString(),
+    lastError: err.message
+  };
+}
+
+/**
+ * A message after it was delivered (or written out in preview mode)
+ */
+function afterSent(message, info, now = new Date()) {
+  return {
+    ...message,
+    attempts: message.attempts + 1,
+    status: 'sent',
+    nextAttemptAt: null,
+    lastError: null,
+    sentAt: now.toISOString(),
+    messageId: info.messageId || null,
+    previewFile: info.previewFile || null
+  };
+}
+
+/**
+ * Delivers messages: over SMTP with `smtp` options, or in preview mode by
+ * writing each one to `previewDir`. `send(message)` resolves to
+ * `{ messageId, previewFile }`.
+ */
+function createTransport({ mode, smtp, previewDir }) {
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown email transport "${mode}" (use ${TRANSPORT_MODES.join(' or ')})`);
+  }
+  const mailer = mode === 'smtp'
+    ? nodemailer.createTransport(smtp)
+    : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    mode,
+    async send(message) {
+      const info = await mailer.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+        attachments: (message.attachments || []).map(attachment => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: attachment.content,
+          encoding: 'base64'
+        }))
+      });
+      if (mode === 'smtp') {
+        return { messageId: info.messageId };
+      }
+      await fs.promises.mkdir(previewDir, { recursive: true });
+      const previewFile = path.join(previewDir, `${message.id}.eml`);
+      await fs.promises.writeFile(previewFile, info.message);
+      return { messageId: info.messageId, previewFile };
+    }
+  };
+}
+
+/**
+ * A message as listed by the outbox endpoints, without its bodies
+ */
+function publicOutboxMessage(message) {
+  const { html, text, attachments = [], ...rest } = message;
+  return {
+    ...rest,
+    attachments: attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: Buffer.byteLength(attachment.content, 'base64')
+    }))
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSPORT_MODES,
+  DEFAULT_MAX_ATTEMPTS,
+  retryDelay,
+  outboxMessage,
+  afterFailure,
+  afterSent,
+  createTransport,
+  publicOutboxMessage
+};
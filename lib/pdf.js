@@ -0,0 +1,279 @@
+const zlib = require('zlib');
+
+/**
+ * A small PDF writer: pages of text, rectangles, lines and PNG images, using
+ * the built-in Helvetica fonts so nothing needs embedding. Enough for the
+ * planner printouts without a PDF library.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page;
+ * text is placed by its baseline.
+ */
+const A4_LANDSCAPE = [841.89, 595.28];
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold'
+};
+
+// Advance widths of characters 32-126 per 1000 units of font size, from the
+// Adobe font metrics for the standard fonts
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding has a code for
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const WIN_ANSI_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x97: 1000, 0x99: 1000 };
+
+/**
+ * Character codes of `text` in WinAnsiEncoding; anything it can't show becomes ?
+ */
+function encodeChars(text) {
+  return Array.from(String(text == null ? '' : text), char => {
+    if (WIN_ANSI[char]) return WIN_ANSI[char];
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return code === 9 ? 32 : 63;
+  });
+}
+
+function charWidth(code, font) {
+  if (code >= 32 && code <= 126) return WIDTHS[font][code - 32];
+  return WIN_ANSI_WIDTHS[code] || 556;
+}
+
+/**
+ * Width of `text` in points at `size`
+ */
+function textWidth(text, size, font = 'regular') {
+  return encodeChars(text).reduce((sum, code) => sum + charWidth(code, font), 0) * size / 1000;
+}
+
+/**
+ * Break `text` into lines no wider than `width`, at spaces where possible.
+ * Line breaks in the text are kept.
+ */
+function wrapText(text, width, size, font = 'regular') {
+  const lines = [];
+  for (const paragraph of String(text == null ? '' : text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, font) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      // A word too long for a line on its own is split wherever it overflows
+      line = '';
+      for (const char of word) {
+        if (line && textWidth(line + char, size, font) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function pdfString(text) {
+  return '(' + encodeChars(text).map(code => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return '\\' + String.fromCharCode(code);
+    return String.fromCharCode(code);
+  }).join('') + ')';
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * `#rrggbb` as PDF colour operands
+ */
+function rgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => num(c / 255)).join(' ');
+}
+
+/**
+ * The parts of a PNG a PDF image needs. Only non-interlaced 8-bit greyscale,
+ * RGB and palette images without transparency are supported, which PDF can
+ * take as they are.
+ */
+function parsePng(buffer) {
+  if (buffer.toString('latin1', 1, 4) !== 'PNG') {
+    throw new Error('Not a PNG image');
+  }
+  let offset = 8;
+  let header;
+  let palette = null;
+  const data = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      throw new Error('PNG images with transparency are not supported');
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.bitDepth !== 8 || header.interlace || ![0, 2, 3].includes(header.colorType)) {
+    throw new Error('Only non-interlaced 8-bit greyscale, RGB or palette PNG images are supported');
+  }
+  const colors = header.colorType === 2 ? 3 : 1;
+  const colorSpace = header.colorType === 0 ? '/DeviceGray'
+    : header.colorType === 2 ? '/DeviceRGB'
+      : `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+  return { width: header.width, height: header.height, colors, colorSpace, data: Buffer.concat(data) };
+}
+
+/**
+ * A new document. Add pages with addPage() and draw on them; toBuffer()
+ * returns the finished file.
+ */
+function createDocument({ size = A4_LANDSCAPE, title } = {}) {
+  const [pageWidth, pageHeight] = size;
+  const pages = [];
+  const images = [];
+  const y = top => num(pageHeight - top);
+
+  function addPage() {
+    const ops = [];
+    const page = {
+      width: pageWidth,
+      height: pageHeight,
+
+      text(x, baseline, text, { size: fontSize = 10, font = 'regular', color = '#111827', align = 'left' } = {}) {
+        const left = align === 'right' ? x - textWidth(text, fontSize, font) : x;
+        ops.push(`BT /${font === 'bold' ? 'F2' : 'F1'} ${num(fontSize)} Tf ${rgb(color)} rg ` +
+          `1 0 0 1 ${num(left)} ${y(baseline)} Tm ${pdfString(text)} Tj ET`);
+      },
+
+      rect(x, top, width, height, { fill = '#f3f4f6' } = {}) {
+        ops.push(`${rgb(fill)} rg ${num(x)} ${y(top + height)} ${num(width)} ${num(height)} re f`);
+      },
+
+      line(x1, top1, x2, top2, { color = '#d1d5db', width = 0.5 } = {}) {
+        ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`);
+      },
+
+      image(image, x, top, width, height) {
+        ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${y(top + height)} cm /${image.name} Do Q`);
+      },
+
+      content: () => ops.join('\n')
+    };
+    pages.push(page);
+    return page;
+  }
+
+  /**
+   * Register a PNG to draw with page.image(); returns it with its pixel size
+   */
+  function addImage(png) {
+    const image = { ...parsePng(png), name: `Im${images.length + 1}` };
+    images.push(image);
+    return image;
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const add = (dict, stream) => {
+      objects.push({ dict, stream });
+      return objects.length;
+    };
+
+    const catalog = add('');
+    const pageTree = add('');
+    const info = add(`<< /Producer (Homework Planner)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+    const regular = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+    const bold = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+    const imageRefs = images.map(image => `/${image.name} ${add(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace ${image.colorSpace} /BitsPerComponent 8 /Filter /FlateDecode ` +
+      `/DecodeParms << /Predictor 15 /Colors ${image.colors} /BitsPerComponent 8 /Columns ${image.width} >>`,
+      image.data
+    )} 0 R`);
+    const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${imageRefs.join(' ')} >> >>`;
+
+    const pageRefs = pages.map(page => {
+      const content = add('<< /Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.content(), 'latin1')));
+      return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+        `/Resources ${resources} /Contents ${content} 0 R >>`);
+    });
+    objects[catalog - 1].dict = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1].dict = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((object, i) => {
+      const offset = length;
+      const parts = object.stream
+        ? [`${i + 1} 0 obj\n${object.dict} /Length ${object.stream.length} >>\nstream\n`, object.stream, '\nendstream\nendobj\n']
+        : [`${i + 1} 0 obj\n${object.dict}\nendobj\n`];
+      parts.forEach(part => {
+        const buffer = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+        chunks.push(buffer);
+        length += buffer.length;
+      });
+      return offset;
+    });
+
+    chunks.push(Buffer.from([
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n'), 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  return { pages, addPage, addImage, toBuffer };
+}
+
+module.exports = {
+  A4_LANDSCAPE,
+  textWidth,
+  wrapText,
+  createDocument
+};
@@ -0,0 +1,214 @@
+const { createDocument, wrapText } = require('./pdf');
+const { nonSchoolReason } = require('./terms');
+const { addDays } = require('./recurrence');
+
+/**
+ * The printable homework planner: every day from `from` to `to` with the
+ * homework due on it, on A4 landscape pages with the school logo.
+ *
+ * Days are `YYYY-MM-DD` strings in UTC, matching how due dates are stored.
+ */
+const SCHOOL_NAME = 'Arts & Media School Islington';
+
+const MAX_DAYS = 62;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MARGIN = 36;
+const FOOTER_SPACE = 24;
+const SUBJECT_WIDTH = 120;
+const DETAILS_WIDTH = 150;
+const DESCRIPTION_LINES = 4;
+
+const GREY = '#6b7280';
+
+/**
+ * The Monday-to-Sunday week containing `day`
+ */
+function weekOf(day) {
+  const weekday = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+  const from = addDays(day, -((weekday + 6) % 7));
+  return { from, to: addDays(from, 6) };
+}
+
+/**
+ * Returns an error message, or null when `from` to `to` can be printed
+ */
+function validateRange(from, to) {
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
+  if (!isDay(from) || !isDay(to)) {
+    return 'from and to must be dates as YYYY-MM-DD';
+  }
+  if (to < from) {
+    return 'to must not be before from';
+  }
+  if (addDays(from, MAX_DAYS - 1) < to) {
+    return `A planner can cover at most ${MAX_DAYS} days`;
+  }
+  return null;
+}
+
+function formatDay(day, { weekday = true, year = false } = {}) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  return [
+    weekday ? DAY_NAMES[date.getUTCDay()] : null,
+    date.getUTCDate(),
+    MONTH_NAMES[date.getUTCMonth()],
+    year ? date.getUTCFullYear() : null
+  ].filter(part => part !== null).join(' ');
+}
+
+function describeRange(from, to) {
+  if (from === to) return formatDay(from, { year: true });
+  return `${formatDay(from, { year: from.slice(0, 4) !== to.slice(0, 4) })} – ${formatDay(to, { year: true })}`;
+}
+
+/**
+ * Year group, class and time estimate, as shown in the right-hand column
+ */
+function homeworkDetails(hw, classCodes) {
+  return [
+    hw.yearGroup ? `Yr${hw.yearGroup}` : null,
+    hw.classId && classCodes.get(hw.classId),
+    hw.estimatedMinutes ? `${hw.estimatedMinutes} min` : null,
+    hw.teacherName || null
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * The planner as a PDF buffer. `filterLabel` says whose homework it is
+ * ("Year 9 · Maths"); `homeworks` are already filtered to it. `logo` is the
+ * PNG to put in the corner, or null to leave it out.
+ */
+function plannerPdf({ from, to, filterLabel, homeworks, calendar = {}, classCodes = new Map(), logo = null, now = new Date() }) {
+  const title = `${SCHOOL_NAME} – Homework Planner`;
+  const range = describeRange(from, to);
+  const doc = createDocument({ title: `${title}, ${range}` });
+
+  let logoImage = null;
+  if (logo) {
+    try {
+      logoImage = doc.addImage(logo);
+    } catch (err) {
+      console.warn('Leaving the logo out of the planner PDF:', err.message);
+    }
+  }
+
+  const byDay = homeworks.reduce((map, hw) => {
+    const day = hw.dueDate.slice(0, 10);
+    return map.set(day, (map.get(day) || []).concat(hw));
+  }, new Map());
+
+  let page;
+  let y;
+  const contentWidth = () => page.width - 2 * MARGIN;
+  const bottom = () => page.height - MARGIN - FOOTER_SPACE;
+
+  function newPage() {
+    page = doc.addPage();
+    y = MARGIN;
+    if (doc.pages.length === 1) {
+      let left = MARGIN;
+      if (logoImage) {
+        const height = 48;
+        page.image(logoImage, MARGIN, y, height * logoImage.width / logoImage.height, height);
+        left += height * logoImage.width / logoImage.height + 12;
+      }
+      page.text(left, y + 16, title, { size: 16, font: 'bold' });
+      page.text(left, y + 32, range, { size: 11 });
+      page.text(left, y + 46, filterLabel, { size: 9, color: GREY });
+      y += 58;
+    } else {
+      page.text(MARGIN, y + 10, `${title} · ${range} · ${filterLabel}`, { size: 9, color: GREY });
+      y += 16;
+    }
+    page.line(MARGIN, y, page.width - MARGIN, y);
+    y += 10;
+  }
+
+  function dayHeader(day, continued) {
+    const reason = nonSchoolReason(calendar, day);
+    page.rect(MARGIN, y, contentWidth(), 18);
+    page.text(MARGIN + 6, y + 13, formatDay(day) + (continued ? ' (continued)' : ''), { size: 11, font: 'bold' });
+    if (reason) {
+      page.text(page.width - MARGIN - 6, y + 13, reason, { size: 9, color: GREY, align: 'right' });
+    }
+    y += 24;
+  }
+
+  newPage();
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  // A week shows every day; a longer range only the days with homework
+  const shown = days.length <= 7 ? days : days.filter(day => byDay.has(day));
+
+  if (!shown.length) {
+    page.text(MARGIN, y + 12, 'No homework is due in this period.', { size: 11, color: GREY });
+  }
+
+  for (const day of shown) {
+    const dayHomework = byDay.get(day) || [];
+    if (y + 24 + 16 > bottom()) newPage();
+    dayHeader(day, false);
+
+    if (!dayHomework.length) {
+      page.text(MARGIN + 6, y + 8, 'No homework due', { size: 10, color: GREY });
+      y += 20;
+      continue;
+    }
+
+    for (const hw of dayHomework) {
+      const titleX = MARGIN + 6 + SUBJECT_WIDTH;
+      const titleWidth = contentWidth() - 12 - SUBJECT_WIDTH - DETAILS_WIDTH;
+      const titleLines = wrapText(hw.title, titleWidth, 10, 'bold');
+      let descriptionLines = hw.description ? wrapText(hw.description, titleWidth, 9) : [];
+      if (descriptionLines.length > DESCRIPTION_LINES) {
+        descriptionLines = descriptionLines.slice(0, DESCRIPTION_LINES);
+        descriptionLines[DESCRIPTION_LINES - 1] += '…';
+      }
+      const details = wrapText(homeworkDetails(hw, classCodes), DETAILS_WIDTH - 6, 9);
+      const height = Math.max(titleLines.length * 13 + descriptionLines.length * 11, details.length * 11, 13) + 8;
+
+      if (y + height > bottom()) {
+        newPage();
+        dayHeader(day, true);
+      }
+
+      const subject = wrapText(hw.subject, SUBJECT_WIDTH - 8, 10, 'bold')[0] || '';
+      page.text(MARGIN + 6, y + 10, subject, { size: 10, font: 'bold' });
+      let lineY = y + 10;
+      titleLines.forEach(line => {
+        page.text(titleX, lineY, line, { size: 10, font: 'bold' });
+        lineY += 13;
+      });
+      descriptionLines.forEach(line => {
+        page.text(titleX, lineY - 1, line, { size: 9, color: GREY });
+        lineY += 11;
+      });
+      details.forEach((line, i) => {
+        page.text(page.width - MARGIN - 6, y + 10 + i * 11, line, { size: 9, color: GREY, align: 'right' });
+      });
+
+      y += height;
+      page.line(MARGIN, y - 4, page.width - MARGIN, y - 4, { color: '#e5e7eb' });
+    }
+    y += 6;
+  }
+
+  const generated = `Generated ${formatDay(now.toISOString().slice(0, 10), { weekday: false, year: true })}`;
+  doc.pages.forEach((p, i) => {
+    const label = `Page ${i + 1} of ${doc.pages.length}`;
+    p.text(MARGIN, p.height - MARGIN, generated, { size: 8, color: GREY });
+    p.text(p.width - MARGIN, p.height - MARGIN, label, { size: 8, color: GREY, align: 'right' });
+  });
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  MAX_DAYS,
+  weekOf,
+  validateRange,
+  plannerPdf
+};
@@ -0,0 +1,148 @@
+/**
+ * Recurrence rules for recurring homework, modelled on iCalendar RRULEs.
+ *
+ * A rule is `{ freq, interval, byDay, until, count }`:
+ * - freq: 'daily', 'weekly' or 'fortnightly' (weekly with twice the interval)
+ * - interval: every n days / weeks / fortnights
+ * - byDay: weekdays for weekly rules, 0 = Sunday ... 6 = Saturday
+ * - until: last possible date (YYYY-MM-DD), or count: number of occurrences;
+ *   with neither the series runs on and is generated up to a horizon
+ *
+ * Dates are handled as `YYYY-MM-DD` strings in UTC, matching how due dates are stored.
+ */
+const FREQUENCIES = ['daily', 'weekly', 'fortnightly'];
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 365;
+
+// How a change to a recurring homework applies to the rest of its series
+const SCOPES = ['this', 'following', 'series'];
+
+function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDay(date);
+}
+
+function weekday(day) {
+  return new Date(`${day}T00:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * Validate a rule from a request. Also accepts the older
+ * `{ type, interval, daysOfWeek }` shape. Returns `{ rule }` or `{ error }`.
+ */
+function normalizeRule(input, startDay) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'A recurrence rule is required' };
+  }
+
+  const freq = input.freq || input.type;
+  if (!FREQUENCIES.includes(freq)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}` };
+  }
+
+  const days = input.byDay || input.daysOfWeek || [];
+  if (!Array.isArray(days) || days.map(Number).some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { error: 'Recurrence days must be weekday numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+  let byDay = [];
+  if (freq !== 'daily') {
+    byDay = Array.from(new Set(days.map(Number)));
+    if (!byDay.length) byDay = [weekday(startDay)];
+    byDay.sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // Monday first
+  }
+
+  let until = null;
+  if (input.until) {
+    if (isNaN(new Date(input.until))) {
+      return { error: 'Recurrence end date is not a valid date' };
+    }
+    until = toDay(input.until);
+    if (until < startDay) {
+      return { error: 'Recurrence end date is before the first due date' };
+    }
+  }
+
+  let count = null;
+  if (input.count !== undefined && input.count !== null) {
+    count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return { error: `Recurrence count must be a whole number between 1 and ${MAX_COUNT}` };
+    }
+  }
+
+  if (until && count) {
+    return { error: 'Give a recurrence end date or a count, not both' };
+  }
+
+  return { rule: { freq, interval, byDay, until, count } };
+}
+
+/**
+ * Dates a rule produces from `startDay` up to and including `lastDay`, in order.
+ * As in RFC 5545 the count includes dates later removed as exceptions. Days
+ * `isSchoolDay` rejects are skipped without using up the count.
+ */
+function occurrenceDates(rule, startDay, lastDay, exceptions = [], isSchoolDay = () => true) {
+  const end = rule.until && rule.until < lastDay ? rule.until : lastDay;
+  const skip = new Set(exceptions);
+  const dates = [];
+  let produced = 0;
+
+  const candidates = function* () {
+    if (rule.freq === 'daily') {
+      for (let day = startDay; day <= end; day = addDays(day, rule.interval)) {
+        yield day;
+      }
+      return;
+    }
+    const step = 7 * rule.interval * (rule.freq === 'fortnightly' ? 2 : 1);
+    const firstMonday = addDays(startDay, -((weekday(startDay) + 6) % 7));
+    for (let monday = firstMonday; monday <= end; monday = addDays(monday, step)) {
+      for (const d of rule.byDay) {
+        const day = addDays(monday, (d + 6) % 7);
+        if (day >= startDay && day <= end) yield day;
+      }
+    }
+  };
+
+  for (const day of candidates()) {
+    if (rule.count && produced >= rule.count) break;
+    if (!isSchoolDay(day)) continue;
+    produced++;
+    if (!skip.has(day)) dates.push(day);
+  }
+  return dates;
+}
+
+/**
+ * Split a series' rule at `splitDay`: `before` ends the day before, `after`
+ * carries on from `splitDay` with whatever is left of a count
+ */
+function splitRule(rule, startDay, splitDay, isSchoolDay) {
+  const before = { ...rule, until: addDays(splitDay, -1), count: null };
+  const after = { ...rule };
+  if (rule.count) {
+    const used = occurrenceDates({ ...rule, count: null }, startDay, addDays(splitDay, -1), [], isSchoolDay).length;
+    after.count = Math.max(1, rule.count - used);
+  }
+  return { before, after };
+}
+
+module.exports = {
+  SCOPES,
+  toDay,
+  addDays,
+  normalizeRule,
+  occurrenceDates,
+  splitRule
+};
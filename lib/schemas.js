@@ -0,0 +1,296 @@
+const { validateEstimatedMinutes } = require('./workload');
+const { normalizeYearGroup } = require('./students');
+const { validateMarkScheme, MAX_FEEDBACK_LENGTH } = require('./marks');
+
+/**
+ * Declared request shapes for the records teachers write. A schema lists the
+ * fields a request may set, with how each value is read, and the fields the
+ * server owns. validate() checks a request body against one: it coerces the
+ * values, refuses anything else, and reports every problem by field.
+ */
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Each type reads a request value into `{ value }`, or `{ error }` naming the problem
+const TYPES = {
+  string(input, rule) {
+    if (typeof input !== 'string' && typeof input !== 'number') {
+      return { error: `${rule.label} must be text` };
+    }
+    const value = String(input).trim();
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `${rule.label} must be ${rule.maxLength} characters or fewer` };
+    }
+    return { value };
+  },
+
+  date(input, rule) {
+    const date = typeof input === 'string' || typeof input === 'number' ? new Date(input) : null;
+    if (!date || isNaN(date)) {
+      return { error: `${rule.label} is not a valid date` };
+    }
+    return { value: date.toISOString() };
+  },
+
+  boolean(input, rule) {
+    if (input === true || input === 'true') return { value: true };
+    if (input === false || input === 'false') return { value: false };
+    return { error: `${rule.label} must be true or false` };
+  },
+
+  choice(input, rule) {
+    const value = typeof input === 'string' ? input.trim().toLowerCase() : null;
+    if (!rule.values.includes(value)) {
+      return { error: `${rule.label} must be one of: ${rule.values.join(', ')}` };
+    }
+    return { value };
+  },
+
+  // A list, or one comma-separated string as spreadsheets and forms give it
+  tags(input, rule) {
+    const list = typeof input === 'string' ? input.split(/[;,]/) : input;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+      return { error: `${rule.label} must be a list of words` };
+    }
+    const value = Array.from(new Set(list.map(tag => tag.trim()).filter(Boolean)));
+    if (value.length > MAX_TAGS) {
+      return { error: `${rule.label} can have at most ${MAX_TAGS} entries` };
+    }
+    if (value.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Each of the ${rule.label.toLowerCase()} must be ${MAX_TAG_LENGTH} characters or fewer` };
+    }
+    return { value };
+  },
+
+  yearGroup(input, rule) {
+    const value = typeof input === 'string' || typeof input === 'number' ? normalizeYearGroup(input) : '';
+    if (!value || value.length > 20) {
+      return { error: `${rule.label} is not a valid year group` };
+    }
+    return { value };
+  },
+
+  number(input, rule) {
+    const value = typeof input === 'number' || typeof input === 'string' ? Number(input) : NaN;
+    if (!Number.isFinite(value)) {
+      return { error: `${rule.label} must be a number` };
+    }
+    return { value };
+  },
+
+  numbers(input, rule) {
+    if (!Array.isArray(input) || input.some(item => typeof item !== 'number' || !Number.isFinite(item))) {
+      return { error: `${rule.label} must be a list of numbers` };
+    }
+    return { value: input };
+  },
+
+  minutes(input) {
+    const error = typeof input === 'string' || typeof input === 'number' ? validateEstimatedMinutes(input) : 'Estimated time must be a number';
+    return error ? { error } : { value: Number(input) };
+  },
+
+  url(input, rule) {
+    let url = null;
+    try {
+      url = typeof input === 'string' && input.length <= 2000 ? new URL(input.trim()) : null;
+    } catch (err) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return { error: `${rule.label} must be a web address starting with http:// or https://` };
+    }
+    return { value: input.trim() };
+  },
+
+  object(input, rule) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: `${rule.label} must be an object` };
+    }
+    return { value: input };
+  },
+
+  // See lib/marks
+  markScheme(input, rule) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: `${rule.label} must be an object` };
+    }
+    return validateMarkScheme(input);
+  }
+};
+
+// ---- Schemas ----
+
+/**
+ * `empty` is what a blank value is stored as. Required fields can't be blank.
+ */
+const HOMEWORK_SCHEMA = {
+  name: 'homework',
+  fields: {
+    title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+    // Required unless the class gives one; homeworkFromBody checks that
+    subject: { type: 'string', label: 'Subject', maxLength: 100, empty: '' },
+    description: { type: 'string', label: 'Description', maxLength: 10000, empty: '' },
+    dueDate: { type: 'date', label: 'Due date', required: true },
+    priority: { type: 'choice', label: 'Priority', values: PRIORITIES, empty: 'medium' },
+    tags: { type: 'tags', label: 'Tags', empty: [] },
+    yearGroup: { type: 'yearGroup', label: 'Year group', empty: null },
+    className: { type: 'string', label: 'Class name', maxLength: 50, empty: null },
+    classId: { type: 'string', label: 'Class', maxLength: 100, empty: null },
+    estimatedMinutes: { type: 'minutes', label: 'Estimated time', empty: null },
+    linkUrl: { type: 'url', label: 'Link', empty: null },
+    markScheme: { type: 'markScheme', label: 'Mark scheme', empty: null },
+    completed: { type: 'boolean', label: 'Completed', empty: false }
+  },
+  protected: [
+    'id', 'teacherEmail', 'teacherName', 'createdAt', 'updatedAt',
+    'comments', 'attachments', 'seriesId', 'occurrenceDate', 'isRecurring', 'version'
+  ]
+};
+
+/**
+ * POST /api/homework also takes the recurrence of a new series
+ */
+const NEW_HOMEWORK_SCHEMA = {
+  ...HOMEWORK_SCHEMA,
+  fields: {
+    ...HOMEWORK_SCHEMA.fields,
+    isRecurring: { type: 'boolean', label: 'Recurring', empty: false },
+    recurrence: { type: 'object', label: 'Recurrence', empty: undefined }
+  },
+  protected: HOMEWORK_SCHEMA.protected.filter(field => field !== 'isRecurring')
+};
+
+/**
+ * PUT /api/homework/:id may change a series' recurrence
+ */
+const HOMEWORK_UPDATE_SCHEMA = {
+  ...HOMEWORK_SCHEMA,
+  fields: {
+    ...HOMEWORK_SCHEMA.fields,
+    recurrence: { type: 'object', label: 'Recurrence', empty: undefined }
+  }
+};
+
+const TEMPLATE_SCHEMA = {
+  name: 'template',
+  fields: {
+    title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+    subject: { type: 'string', label: 'Subject', required: true, maxLength: 100 },
+    description: { type: 'string', label: 'Description', maxLength: 10000, empty: '' },
+    tags: { type: 'tags', label: 'Tags', empty: [] }
+  },
+  protected: ['id', 'createdAt', 'createdBy', 'updatedAt']
+};
+
+const COMMENT_SCHEMA = {
+  name: 'comment',
+  fields: {
+    content: { type: 'string', label: 'Comment content', required: true, maxLength: 5000 }
+  },
+  protected: ['id', 'homeworkId', 'author', 'authorName', 'createdAt', 'updatedAt']
+};
+
+// Multipart forms send every field as text, so a file-only submission can leave it out
+const SUBMISSION_SCHEMA = {
+  name: 'submission',
+  fields: {
+    text: { type: 'string', label: 'Submission text', maxLength: 20000, empty: '' }
+  },
+  protected: ['id', 'homeworkId', 'studentId', 'files', 'submittedAt', 'firstSubmittedAt', 'attempts', 'late']
+};
+
+// Which of points, grade and criteria a mark needs depends on the homework's
+// mark scheme; lib/marks checks that
+const MARK_SCHEMA = {
+  name: 'mark',
+  fields: {
+    points: { type: 'number', label: 'Points', empty: null },
+    grade: { type: 'string', label: 'Grade', maxLength: 20, empty: null },
+    criteria: { type: 'numbers', label: 'Rubric points', empty: null },
+    feedback: { type: 'string', label: 'Feedback', maxLength: MAX_FEEDBACK_LENGTH, empty: '' }
+  },
+  protected: ['homeworkId', 'studentId', 'outOf', 'breakdown', 'percent', 'markedBy', 'markedAt', 'updatedAt']
+};
+
+/**
+ * One student's mark in a bulk entry
+ */
+const MARK_ENTRY_SCHEMA = {
+  ...MARK_SCHEMA,
+  fields: {
+    studentId: { type: 'string', label: 'Student', required: true, maxLength: 100 },
+    ...MARK_SCHEMA.fields
+  }
+};
+
+// ---- Validation ----
+
+/**
+ * Check `body` against `schema`. Returns `{ value, errors }`: `value` holds
+ * the coerced fields the body gave, and `errors` lists `{ field, code,
+ * message }`. Codes are required, invalid, unknown (not a field of the
+ * schema) and protected (owned by the server). With `partial`, fields the
+ * body leaves out aren't required, as for an update.
+ */
+function validate(schema, body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      value: {},
+      errors: [{ field: null, code: 'invalid', message: `The ${schema.name} must be a JSON object` }]
+    };
+  }
+
+  const value = {};
+  const errors = [];
+  for (const [field, input] of Object.entries(body)) {
+    const rule = Object.prototype.hasOwnProperty.call(schema.fields, field) ? schema.fields[field] : null;
+    if (!rule) {
+      errors.push(schema.protected.includes(field)
+        ? { field, code: 'protected', message: `${field} is set by the server and can't be changed` }
+        : { field, code: 'unknown', message: `${field} is not a ${schema.name} field` });
+      continue;
+    }
+    if (input === undefined) continue;
+
+    if (isBlank(input)) {
+      if (rule.required) {
+        errors.push({ field, code: 'required', message: `${rule.label} is required` });
+      } else {
+        value[field] = rule.empty;
+      }
+      continue;
+    }
+    const result = TYPES[rule.type](input, rule);
+    if (result.error) {
+      errors.push({ field, code: 'invalid', message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (!partial) {
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      if (rule.required && !(field in body)) {
+        errors.push({ field, code: 'required', message: `${rule.label} is required` });
+      }
+    }
+  }
+  return { value, errors };
+}
+
+module.exports = {
+  PRIORITIES,
+  HOMEWORK_SCHEMA,
+  NEW_HOMEWORK_SCHEMA,
+  HOMEWORK_UPDATE_SCHEMA,
+  TEMPLATE_SCHEMA,
+  COMMENT_SCHEMA,
+  SUBMISSION_SCHEMA,
+  MARK_SCHEMA,
+  MARK_ENTRY_SCHEMA,
+  validate
+};
@@ -0,0 +1,354 @@
+const { escapeHtml } = require('./templates');
+
+/**
+ * Full-text search over homework: title, subject, description, tags, comment
+ * text and attachment filenames. Results are ranked with BM25, weighted by
+ * the field a word is found in. Each query word also matches words starting
+ * with it ("frac" finds "fractions") and words a typo or two away ("fracions"),
+ * which rank below exact matches. Every query word has to match.
+ *
+ * The index lives in memory. It is rebuilt from storage the first time it's
+ * searched after a change to the collections it watches.
+ */
+const FIELDS = ['title', 'tags', 'subject', 'description', 'comments', 'attachments'];
+
+const FIELD_WEIGHTS = {
+  title: 4,
+  tags: 3,
+  subject: 2,
+  description: 1,
+  comments: 1,
+  attachments: 1.5
+};
+
+// How a match counts against an exact one
+const PREFIX_QUALITY = 0.7;
+const TYPO_QUALITY = [1, 0.5, 0.3];
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 160;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * A word as it's indexed: lower case, without accents
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * The words of `text` with where each one is, for highlighting
+ */
+function tokenize(text) {
+  return Array.from(String(text || '').matchAll(WORD), match => ({
+    term: normalizeTerm(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * How many typos a query word may have: none for short words, where one
+ * wrong letter makes a different word
+ */
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit. Gives
+ * up with max + 1 once the distance must be more than `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * An index of `documents`, each `{ id, fields }` with the text of each field
+ * (a list for tags, comments and attachments)
+ */
+function buildIndex(documents) {
+  const postings = new Map();
+  const lengths = new Map();
+  const totals = Object.fromEntries(FIELDS.map(field => [field, 0]));
+
+  for (const doc of documents) {
+    const docLengths = {};
+    for (const field of FIELDS) {
+      const value = doc.fields[field];
+      const terms = tokenize(Array.isArray(value) ? value.join(' \n ') : value).map(token => token.term);
+      docLengths[field] = terms.length;
+      totals[field] += terms.length;
+      for (const term of terms) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const byDoc = postings.get(term);
+        if (!byDoc.has(doc.id)) byDoc.set(doc.id, {});
+        const counts = byDoc.get(doc.id);
+        counts[field] = (counts[field] || 0) + 1;
+      }
+    }
+    lengths.set(doc.id, docLengths);
+  }
+
+  const count = documents.length;
+  return {
+    count,
+    postings,
+    lengths,
+    averageLengths: Object.fromEntries(FIELDS.map(field => [field, count ? totals[field] / count || 1 : 1])),
+    terms: Array.from(postings.keys()).sort()
+  };
+}
+
+/**
+ * The indexed words a query word matches, each with how good a match it is
+ */
+function expandTerm(index, queryTerm) {
+  const matches = new Map();
+  if (index.postings.has(queryTerm)) matches.set(queryTerm, 1);
+
+  if (queryTerm.length >= 2) {
+    // Words starting with the query word sit together in the sorted list
+    let low = 0;
+    let high = index.terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (index.terms[mid] < queryTerm) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < index.terms.length && index.terms[i].startsWith(queryTerm); i++) {
+      if (!matches.has(index.terms[i])) matches.set(index.terms[i], PREFIX_QUALITY);
+    }
+  }
+
+  const typos = allowedTypos(queryTerm);
+  if (typos) {
+    for (const term of index.terms) {
+      if (matches.has(term) || Math.abs(term.length - queryTerm.length) > typos) continue;
+      const distance = editDistance(queryTerm, term, typos);
+      if (distance <= typos) matches.set(term, TYPO_QUALITY[distance]);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Rank the documents matching every word of `query`. `fields` limits the
+ * fields searched; `ids` limits the documents. Returns
+ * `[{ id, score, fields, terms }]`, best first, where `fields` are the fields
+ * that matched and `terms` the indexed words that did.
+ */
+function searchIndex(index, query, { fields = FIELDS, ids = null } = {}) {
+  const queryTerms = Array.from(new Set(tokenize(query).map(token => token.term)));
+  if (!queryTerms.length) return [];
+
+  let results = null;
+  for (const queryTerm of queryTerms) {
+    const scores = new Map();
+    for (const [term, quality] of expandTerm(index, queryTerm)) {
+      const byDoc = index.postings.get(term);
+      const idf = Math.log(1 + (index.count - byDoc.size + 0.5) / (byDoc.size + 0.5));
+      for (const [id, counts] of byDoc) {
+        if (ids && !ids.has(id)) continue;
+        let score = 0;
+        const matchedFields = [];
+        for (const field of fields) {
+          const tf = counts[field];
+          if (!tf) continue;
+          const norm = 1 - B + B * index.lengths.get(id)[field] / index.averageLengths[field];
+          score += FIELD_WEIGHTS[field] * idf * tf * (K1 + 1) / (tf + K1 * norm);
+          matchedFields.push(field);
+        }
+        if (!score) continue;
+        // A query word scores by its best match in each document
+        const entry = scores.get(id) || { score: 0, fields: new Set(), terms: new Set() };
+        entry.score = Math.max(entry.score, score * quality);
+        matchedFields.forEach(field => entry.fields.add(field));
+        entry.terms.add(term);
+        scores.set(id, entry);
+      }
+    }
+
+    if (!results) {
+      results = scores;
+      continue;
+    }
+    for (const [id, entry] of results) {
+      const next = scores.get(id);
+      if (!next) {
+        results.delete(id);
+        continue;
+      }
+      entry.score += next.score;
+      next.fields.forEach(field => entry.fields.add(field));
+      next.terms.forEach(term => entry.terms.add(term));
+    }
+  }
+
+  return Array.from(results, ([id, entry]) => ({
+    id,
+    score: Number(entry.score.toFixed(4)),
+    fields: FIELDS.filter(field => entry.fields.has(field)),
+    terms: entry.terms
+  })).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * `text` as HTML with the words in `terms` wrapped in <mark>. Long text is cut
+ * to the stretch with the most matches.
+ */
+function highlight(text, terms, { length = Infinity } = {}) {
+  const source = String(text || '');
+  const tokens = tokenize(source).filter(token => terms.has(token.term));
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > length) {
+    // The window starting at a match that holds the most matches
+    let best = tokens.length ? tokens[0].start : 0;
+    let bestCount = 0;
+    tokens.forEach(token => {
+      const count = tokens.filter(t => t.start >= token.start && t.end <= token.start + length).length;
+      if (count > bestCount) {
+        best = token.start;
+        bestCount = count;
+      }
+    });
+    start = Math.max(0, Math.min(best - 20, source.length - length));
+    end = start + length;
+    // Don't cut words in half
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    const lastSpace = source.lastIndexOf(' ', end);
+    if (end < source.length && lastSpace > start) end = lastSpace;
+  }
+
+  let out = start > 0 ? '…' : '';
+  let position = start;
+  for (const token of tokens) {
+    if (token.start < start || token.end > end) continue;
+    out += escapeHtml(source.slice(position, token.start)) + `<mark>${escapeHtml(source.slice(token.start, token.end))}</mark>`;
+    position = token.end;
+  }
+  out += escapeHtml(source.slice(position, end));
+  return end < source.length ? `${out}…` : out;
+}
+
+/**
+ * Highlighted title and the best snippet of other text for a result: from the
+ * first field after the title that matched, else the start of the description
+ */
+function snippets(doc, result) {
+  const field = result.fields.find(f => f !== 'title') || 'description';
+  const value = doc.fields[field];
+  const text = Array.isArray(value)
+    ? value.filter(item => tokenize(item).some(token => result.terms.has(token.term))).join(' · ') || value.join(' · ')
+    : value;
+  return {
+    title: highlight(doc.fields.title, result.terms),
+    snippet: text ? { field, html: highlight(text, result.terms, { length: SNIPPET_LENGTH }) } : null
+  };
+}
+
+/**
+ * A search index kept in step with storage. `load` resolves to the documents
+ * to index; watch() marks the index stale whenever a collection is written.
+ */
+function createSearchIndex({ load }) {
+  let index = null;
+  let documents = new Map();
+  let building = null;
+  let generation = 0;
+
+  function invalidate() {
+    generation++;
+    index = null;
+  }
+
+  async function current() {
+    while (!index) {
+      if (!building) {
+        const started = generation;
+        building = load().then(docs => {
+          // A write while loading means the documents may already be out of date
+          if (started === generation) {
+            index = buildIndex(docs);
+            documents = new Map(docs.map(doc => [doc.id, doc]));
+          }
+        }).finally(() => {
+          building = null;
+        });
+      }
+      await building;
+    }
+    return index;
+  }
+
+  return {
+    invalidate,
+
+    /**
+     * Wrap the write methods of storage collections so writes mark the index stale
+     */
+    watch(...collections) {
+      for (const collection of collections) {
+        ['insert', 'insertMany', 'update', 'modify', 'upsert', 'remove', 'removeWhere'].forEach(method => {
+          const write = collection[method].bind(collection);
+          collection[method] = async (...args) => {
+            try {
+              return await write(...args);
+            } finally {
+              invalidate();
+            }
+          };
+        });
+      }
+    },
+
+    /**
+     * Ranked results for `query` (see searchIndex), each with its highlighted
+     * title and snippet
+     */
+    async search(query, options) {
+      const searched = await current();
+      return searchIndex(searched, query, options).map(result => ({
+        ...result,
+        ...snippets(documents.get(result.id), result)
+      }));
+    }
+  };
+}
+
+module.exports = {
+  FIELDS,
+  normalizeTerm,
+  tokenize,
+  editDistance,
+  buildIndex,
+  searchIndex,
+  highlight,
+  createSearchIndex
+};
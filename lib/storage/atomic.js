@@ -0,0 +1,31 @@
+const fs = require('fs');
+
+/**
+ * Write a file via a temp file + fsync + rename, so readers (and a crash
+ * part-way through) only ever see the old or the new contents.
+ */
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Returns a function that runs async tasks one at a time, in call order
+ */
+function createQueue() {
+  let queue = Promise.resolve();
+  return function serialize(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { writeFileAtomic, createQueue };
@@ -0,0 +1,16 @@
+const path = require('path');
+
+/**
+ * Thrown when a data file exists but can't be read back. Drivers refuse
+ * further reads and writes rather than risk overwriting it.
+ */
+class StorageCorruptError extends Error {
+  constructor(file, cause) {
+    super(`Data file ${path.basename(file)} is corrupt (${cause}). Restore it from a backup before restarting.`);
+    this.name = 'StorageCorruptError';
+    this.code = 'DATA_CORRUPT';
+    this.file = file;
+  }
+}
+
+module.exports = { StorageCorruptError };
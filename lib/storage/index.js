@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { StorageCorruptError } = require('./errors');
+const { toDay, normalizeRule } = require('../recurrence');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Collections the planner stores, with the fields each one can be filtered
+ * and sorted by. `file` is the JSON driver's data file inside DATA_DIR.
+ */
+const COLLECTIONS = {
+  homework: {
+    file: 'homework.json',
+    indexes: ['dueDate', 'yearGroup', 'subject', 'teacherEmail', 'seriesId', 'classId']
+  },
+  templates: {
+    file: 'templates.json',
+    indexes: ['createdBy']
+  },
+  comments: {
+    file: 'comments.json',
+    indexes: ['homeworkId']
+  },
+  attachments: {
+    file: 'attachments.json',
+    indexes: ['homeworkId']
+  },
+  students: {
+    file: 'students.json',
+    indexes: ['codeHash', 'yearGroup', 'externalId']
+  },
+  completions: {
+    file: 'completions.json',
+    indexes: ['homeworkId', 'studentId']
+  },
+  submissions: {
+    file: 'submissions.json',
+    indexes: ['homeworkId', 'studentId']
+  },
+  marks: {
+    file: 'marks.json',
+    indexes: ['homeworkId', 'studentId']
+  },
+  classes: {
+    file: 'classes.json',
+    indexes: ['codeKey', 'yearGroup', 'subject']
+  },
+  settings: {
+    file: 'settings.json',
+    indexes: []
+  },
+  calendarFeeds: {
+    file: 'calendar_feeds.json',
+    indexes: ['tokenHash', 'teacherEmail']
+  },
+  series: {
+    file: 'series.json',
+    indexes: ['teacherEmail']
+  },
+  history: {
+    file: 'homework_history.json',
+    indexes: ['homeworkId', 'actorEmail']
+  },
+  trash: {
+    file: 'trash.json',
+    indexes: ['teacherEmail', 'homeworkId', 'expiresAt']
+  },
+  subscriptions: {
+    file: 'subscriptions.json',
+    indexes: ['email', 'yearGroup', 'classId', 'status', 'confirmTokenHash']
+  },
+  digestRuns: {
+    file: 'digest_runs.json',
+    indexes: ['jobId', 'scheduledFor']
+  },
+  outbox: {
+    file: 'outbox.json',
+    indexes: ['status', 'kind', 'nextAttemptAt', 'createdAt', 'digestRunId']
+  },
+  imports: {
+    file: 'imports.json',
+    indexes: ['createdBy', 'status', 'createdAt', 'expiresAt']
+  }
+};
+
+const DRIVERS = ['json', 'sqlite'];
+
+/**
+ * Older homework.json files kept comments and attachments inside each homework
+ * record. Move them into their own collections so every driver sees one shape.
+ */
+async function migrateEmbeddedRecords(storage) {
+  const homeworks = await storage.homework.find();
+  for (const hw of homeworks) {
+    const comments = Array.isArray(hw.comments) ? hw.comments : [];
+    const attachments = Array.isArray(hw.attachments) ? hw.attachments : [];
+    if (!('comments' in hw) && !('attachments' in hw)) continue;
+
+    if (comments.length) {
+      await storage.comments.insertMany(comments.map(c => ({ ...c, homeworkId: hw.id })));
+    }
+    if (attachments.length) {
+      await storage.attachments.insertMany(attachments.map(a => ({ ...a, homeworkId: hw.id })));
+    }
+
+    const { comments: _comments, attachments: _attachments, ...rest } = hw;
+    await storage.homework.update(hw.id, rest);
+  }
+}
+
+/**
+ * Older versions saved recurring homework as a parent record plus copies
+ * pointing at it through `parentId`. Turn each group into a series whose rule
+ * ends at its last copy, so nothing new is generated for it.
+ */
+async function migrateLegacyRecurrence(storage) {
+  const homeworks = await storage.homework.find();
+  const groups = new Map();
+  homeworks
+    .filter(hw => !hw.seriesId && (hw.parentId || hw.isRecurring))
+    .forEach(hw => {
+      const key = hw.parentId || hw.id;
+      groups.set(key, (groups.get(key) || []).concat(hw));
+    });
+
+  for (const members of groups.values()) {
+    members.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    const root = members.find(hw => !hw.parentId) || members[0];
+    const startDate = toDay(members[0].dueDate);
+    const until = toDay(members[members.length - 1].dueDate);
+    const { rule } = normalizeRule({ ...root.recurrence, until }, startDate);
+
+    // Everything but the per-occurrence fields becomes the series template
+    const template = { ...root };
+    ['id', 'dueDate', 'createdAt', 'updatedAt', 'completed', 'parentId', 'nextOccurrence', 'recurrence']
+      .forEach(field => delete template[field]);
+    const series = {
+      id: uuidv4(),
+      rule: rule || { freq: 'weekly', interval: 1, byDay: [new Date(startDate).getUTCDay()], until, count: null },
+      startDate,
+      exceptions: [],
+      template: { ...template, isRecurring: true },
+      teacherEmail: root.teacherEmail || '',
+      generatedUntil: until,
+      createdAt: root.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await storage.series.insert(series);
+
+    for (const hw of members) {
+      const { parentId: _parentId, nextOccurrence: _next, recurrence: _recurrence, ...rest } = hw;
+      await storage.homework.update(hw.id, {
+        ...rest,
+        isRecurring: true,
+        seriesId: series.id,
+        occurrenceDate: toDay(hw.dueDate)
+      });
+    }
+  }
+}
+
+/**
+ * Seed a brand new SQLite database from the JSON files, so switching
+ * STORAGE_DRIVER keeps the school's existing homework.
+ */
+async function seedFromJson(storage, dataDir) {
+  const counts = await Promise.all(Object.keys(COLLECTIONS).map(name => storage[name].count()));
+  if (counts.some(n => n > 0)) return;
+
+  const jsonStorage = createJsonStorage({ dataDir, collections: COLLECTIONS });
+  for (const name of Object.keys(COLLECTIONS)) {
+    if (!fs.existsSync(path.join(dataDir, COLLECTIONS[name].file))) continue;
+    const records = await jsonStorage[name].find();
+    if (records.length) {
+      await storage[name].insertMany(records);
+      console.log(`Imported ${records.length} ${name} records into SQLite`);
+    }
+  }
+}
+
+/**
+ * Open the configured storage driver.
+ *
+ * @param {Object} options
+ * @param {string} options.driver - 'json' (default) or 'sqlite'
+ * @param {string} options.dataDir - directory holding the JSON data files
+ * @param {string} [options.sqliteFile] - database path for the sqlite driver
+ */
+async function createStorage({ driver = 'json', dataDir, sqliteFile }) {
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${DRIVERS.join(', ')}`);
+  }
+
+  let storage;
+  if (driver === 'sqlite') {
+    storage = createSqliteStorage({
+      file: sqliteFile || path.join(dataDir, 'homework.db'),
+      collections: COLLECTIONS
+    });
+    await storage.verify();
+    await seedFromJson(storage, dataDir);
+  } else {
+    storage = createJsonStorage({ dataDir, collections: COLLECTIONS });
+    await storage.verify();
+  }
+
+  await migrateEmbeddedRecords(storage);
+  await migrateLegacyRecurrence(storage);
+  return storage;
+}
+
+module.exports = { createStorage, COLLECTIONS, StorageCorruptError };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { assertQueryable, assertSortable, matches, sortRecords } = require('./query');
+const { StorageCorruptError } = require('./errors');
+const { writeFileAtomic, createQueue } = require('./atomic');
+
+/**
+ * JSON file driver - one pretty-printed array per collection, kept in DATA_DIR
+ * so existing homework.json / templates.json / comments.json files keep working.
+ *
+ * Writes for a collection are queued so each read-modify-write sees the result
+ * of the previous one, and land via a temp file + rename so a crash never
+ * leaves a half-written file behind. This assumes a single server process.
+ */
+function createJsonCollection(name, { file, indexes = [] }, storage) {
+  const serialize = createQueue();
+
+  async function read() {
+    if (storage.failure) throw storage.failure;
+
+    let raw;
+    try {
+      raw = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    let list;
+    try {
+      list = JSON.parse(raw);
+    } catch (err) {
+      storage.failure = new StorageCorruptError(file, raw.trim() ? err.message : 'file is empty');
+      throw storage.failure;
+    }
+    if (!Array.isArray(list)) {
+      storage.failure = new StorageCorruptError(file, 'expected an array');
+      throw storage.failure;
+    }
+    return list;
+  }
+
+  async function write(list) {
+    await writeFileAtomic(file, JSON.stringify(list, null, 2));
+  }
+
+  const collection = {
+    name,
+
+    async find(where = {}, { sort } = {}) {
+      assertQueryable(name, indexes, where);
+      assertSortable(name, indexes, sort);
+      const list = await read();
+      return sortRecords(list.filter(record => matches(record, where)), sort);
+    },
+
+    async count(where = {}) {
+      return (await collection.find(where)).length;
+    },
+
+    async get(id) {
+      const list = await read();
+      return list.find(record => record.id === id) || null;
+    },
+
+    async insert(record) {
+      await collection.insertMany([record]);
+      return record;
+    },
+
+    insertMany(records) {
+      return serialize(async () => {
+        const list = await read();
+        list.push(...records);
+        await write(list);
+        return records;
+      });
+    },
+
+    update(id, record) {
+      return collection.modify(id, () => record);
+    },
+
+    /**
+     * Replace a record with `fn(current)`, with no other write in between.
+     * Resolves to the new record, or null when the id doesn't exist.
+     */
+    modify(id, fn) {
+      return serialize(async () => {
+        const list = await read();
+        const index = list.findIndex(r => r.id === id);
+        if (index === -1) return null;
+        list[index] = { ...fn(list[index]), id };
+        await write(list);
+        return list[index];
+      });
+    },
+
+    /**
+     * Save `fn(current)` as record `id`, where `current` is null when it
+     * doesn't exist yet, with no other write in between. Resolves to the
+     * saved record.
+     */
+    upsert(id, fn) {
+      return serialize(async () => {
+        const list = await read();
+        const index = list.findIndex(r => r.id === id);
+        const record = { ...fn(index === -1 ? null : list[index]), id };
+        if (index === -1) {
+          list.push(record);
+        } else {
+          list[index] = record;
+        }
+        await write(list);
+        return record;
+      });
+    },
+
+    async remove(id) {
+      return (await collection.removeWhere({ id })) > 0;
+    },
+
+    removeWhere(where) {
+      assertQueryable(name, indexes, where);
+      return serialize(async () => {
+        const list = await read();
+        const kept = list.filter(record => !matches(record, where));
+        if (kept.length !== list.length) {
+          await write(kept);
+        }
+        return list.length - kept.length;
+      });
+    },
+
+    /**
+     * Check the data file parses, and clear temp files left by a crash mid-write
+     */
+    async verify() {
+      await read();
+      const prefix = `${path.basename(file)}.`;
+      const leftovers = (await fs.promises.readdir(path.dirname(file)))
+        .filter(entry => entry.startsWith(prefix) && entry.endsWith('.tmp'));
+      await Promise.all(leftovers.map(entry => fs.promises.unlink(path.join(path.dirname(file), entry))));
+    }
+  };
+
+  return collection;
+}
+
+function createJsonStorage({ dataDir, collections }) {
+  const storage = { driver: 'json', failure: null };
+  Object.entries(collections).forEach(([name, options]) => {
+    storage[name] = createJsonCollection(name, {
+      ...options,
+      file: path.join(dataDir, options.file)
+    }, storage);
+  });
+  storage.verify = async () => {
+    for (const name of Object.keys(collections)) {
+      await storage[name].verify();
+    }
+  };
+  storage.close = async () => {};
+  return storage;
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,88 @@
+/**
+ * Query helpers shared by the storage drivers.
+ *
+ * A `where` object maps field names to a condition:
+ *   - a plain value: case-insensitive equality (`null` matches a missing value)
+ *   - `{ $in: [...] }`: equal to any of the values
+ *   - `{ $gte, $lte }`: inclusive range, compared as strings (ISO dates sort correctly)
+ *
+ * Only `id` and the fields a collection declares as indexes may be queried, so
+ * every query the JSON driver accepts can also be answered by an index in SQLite.
+ */
+
+function isOperator(cond) {
+  return cond !== null && typeof cond === 'object' && !Array.isArray(cond);
+}
+
+/**
+ * Convert a stored value to the form used for comparisons and SQLite columns
+ */
+function toKey(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value);
+}
+
+function assertQueryable(collection, indexes, where) {
+  Object.keys(where || {}).forEach(field => {
+    if (field !== 'id' && !indexes.includes(field)) {
+      throw new Error(`Cannot query ${collection} by unindexed field "${field}"`);
+    }
+  });
+}
+
+function assertSortable(collection, indexes, sort) {
+  if (!sort) return;
+  const field = sort.replace(/^-/, '');
+  if (field !== 'id' && !indexes.includes(field)) {
+    throw new Error(`Cannot sort ${collection} by unindexed field "${field}"`);
+  }
+}
+
+function fold(field, value) {
+  const key = toKey(value);
+  return key !== null && field !== 'id' ? key.toLowerCase() : key;
+}
+
+/**
+ * In-memory equivalent of the WHERE clause the SQLite driver builds
+ */
+function matches(record, where) {
+  return Object.entries(where || {}).every(([field, cond]) => {
+    const value = fold(field, record[field]);
+
+    if (!isOperator(cond)) {
+      return value === fold(field, cond);
+    }
+    if (cond.$in && !cond.$in.map(v => fold(field, v)).includes(value)) {
+      return false;
+    }
+    if (cond.$gte != null && (value === null || value < fold(field, cond.$gte))) {
+      return false;
+    }
+    if (cond.$lte != null && (value === null || value > fold(field, cond.$lte))) {
+      return false;
+    }
+    return true;
+  });
+}
+
+function sortRecords(records, sort) {
+  if (!sort) return records;
+  const desc = sort.startsWith('-');
+  const field = desc ? sort.slice(1) : sort;
+  return records.sort((a, b) => {
+    const left = fold(field, a[field]) || '';
+    const right = fold(field, b[field]) || '';
+    if (left === right) return 0;
+    return (left < right ? -1 : 1) * (desc ? -1 : 1);
+  });
+}
+
+module.exports = {
+  isOperator,
+  toKey,
+  assertQueryable,
+  assertSortable,
+  matches,
+  sortRecords
+};
@@ -0,0 +1,219 @@
+const { isOperator, toKey, assertQueryable, assertSortable } = require('./query');
+const { StorageCorruptError } = require('./errors');
+
+/**
+ * Embedded SQLite driver.
+ *
+ * Every collection is a table holding the full record as JSON in `data`, plus
+ * one real column per declared index so filters and sorting run as SQL.
+ * Index columns use NOCASE collation to match the case-insensitive filters
+ * the JSON driver applies.
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new Error(
+      'STORAGE_DRIVER=sqlite needs the optional "better-sqlite3" package. ' +
+      'Install it with `npm install better-sqlite3`.'
+    );
+  }
+}
+
+function quote(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+function buildWhere(where) {
+  const clauses = [];
+  const params = [];
+
+  Object.entries(where || {}).forEach(([field, cond]) => {
+    const column = quote(field);
+
+    if (!isOperator(cond)) {
+      const value = toKey(cond);
+      if (value === null) {
+        clauses.push(`${column} IS NULL`);
+      } else {
+        clauses.push(`${column} = ?`);
+        params.push(value);
+      }
+      return;
+    }
+
+    if (cond.$in) {
+      if (cond.$in.length === 0) {
+        clauses.push('0');
+      } else {
+        clauses.push(`${column} IN (${cond.$in.map(() => '?').join(', ')})`);
+        params.push(...cond.$in.map(toKey));
+      }
+    }
+    if (cond.$gte != null) {
+      clauses.push(`${column} >= ?`);
+      params.push(toKey(cond.$gte));
+    }
+    if (cond.$lte != null) {
+      clauses.push(`${column} <= ?`);
+      params.push(toKey(cond.$lte));
+    }
+  });
+
+  return {
+    sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+function createSqliteCollection(db, name, { indexes = [] }) {
+  const table = quote(name);
+
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+
+  // Add (and backfill) index columns declared after the table was first created
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  indexes.filter(field => !existing.includes(field)).forEach(field => {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${quote(field)} TEXT COLLATE NOCASE`);
+    db.prepare(`UPDATE ${table} SET ${quote(field)} = NULLIF(CAST(json_extract(data, ?) AS TEXT), '')`)
+      .run(`$.${field}`);
+  });
+  indexes.forEach(field => {
+    db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`idx_${name}_${field}`)} ON ${table} (${quote(field)})`);
+  });
+
+  const columns = ['id', 'data', ...indexes];
+  const insertStmt = db.prepare(
+    `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+  );
+  const updateStmt = db.prepare(
+    `UPDATE ${table} SET ${columns.slice(1).map(c => `${quote(c)} = ?`).join(', ')} WHERE id = ?`
+  );
+  const getStmt = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+
+  function row(record) {
+    return [JSON.stringify(record), ...indexes.map(field => toKey(record[field]))];
+  }
+
+  const insertMany = db.transaction(records => {
+    records.forEach(record => insertStmt.run(record.id, ...row(record)));
+  });
+
+  const modify = db.transaction((id, fn) => {
+    const found = getStmt.get(id);
+    if (!found) return null;
+    const updated = { ...fn(JSON.parse(found.data)), id };
+    updateStmt.run(...row(updated), id);
+    return updated;
+  });
+
+  const upsert = db.transaction((id, fn) => {
+    const found = getStmt.get(id);
+    const record = { ...fn(found ? JSON.parse(found.data) : null), id };
+    if (found) {
+      updateStmt.run(...row(record), id);
+    } else {
+      insertStmt.run(id, ...row(record));
+    }
+    return record;
+  });
+
+  const collection = {
+    name,
+
+    async find(where = {}, { sort } = {}) {
+      assertQueryable(name, indexes, where);
+      assertSortable(name, indexes, sort);
+      const { sql, params } = buildWhere(where);
+      const order = sort ? ` ORDER BY ${quote(sort.replace(/^-/, ''))}${sort.startsWith('-') ? ' DESC' : ''}` : '';
+      return db.prepare(`SELECT data FROM ${table}${sql}${order}`)
+        .all(...params)
+        .map(r => JSON.parse(r.data));
+    },
+
+    async count(where = {}) {
+      assertQueryable(name, indexes, where);
+      const { sql, params } = buildWhere(where);
+      return db.prepare(`SELECT COUNT(*) AS n FROM ${table}${sql}`).get(...params).n;
+    },
+
+    async get(id) {
+      const found = getStmt.get(id);
+      return found ? JSON.parse(found.data) : null;
+    },
+
+    async insert(record) {
+      insertMany([record]);
+      return record;
+    },
+
+    async insertMany(records) {
+      insertMany(records);
+      return records;
+    },
+
+    async update(id, record) {
+      const updated = { ...record, id };
+      const result = updateStmt.run(...row(updated), id);
+      return result.changes > 0 ? updated : null;
+    },
+
+    /**
+     * Replace a record with `fn(current)` inside a transaction.
+     * Resolves to the new record, or null when the id doesn't exist.
+     */
+    async modify(id, fn) {
+      return modify(id, fn);
+    },
+
+    /**
+     * Save `fn(current)` as record `id` inside a transaction, where `current`
+     * is null when it doesn't exist yet. Resolves to the saved record.
+     */
+    async upsert(id, fn) {
+      return upsert(id, fn);
+    },
+
+    async remove(id) {
+      return (await collection.removeWhere({ id })) > 0;
+    },
+
+    async removeWhere(where) {
+      assertQueryable(name, indexes, where);
+      const { sql, params } = buildWhere(where);
+      return db.prepare(`DELETE FROM ${table}${sql}`).run(...params).changes;
+    }
+  };
+
+  return collection;
+}
+
+function createSqliteStorage({ file, collections }) {
+  const Database = loadDriver();
+  let db;
+  try {
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+  } catch (err) {
+    if (err.code === 'SQLITE_NOTADB' || err.code === 'SQLITE_CORRUPT') {
+      throw new StorageCorruptError(file, err.message);
+    }
+    throw err;
+  }
+
+  const storage = { driver: 'sqlite', failure: null };
+  Object.entries(collections).forEach(([name, options]) => {
+    storage[name] = createSqliteCollection(db, name, options);
+  });
+  storage.verify = async () => {
+    const result = db.pragma('quick_check', { simple: true });
+    if (result !== 'ok') {
+      storage.failure = new StorageCorruptError(file, result);
+      throw storage.failure;
+    }
+  };
+  storage.close = async () => db.close();
+  return storage;
+}
+
+module.exports = { createSqliteStorage };
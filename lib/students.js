@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { parseCsvObjects } = require('./csv');
+
+// Login codes skip look-alike characters (0/O, 1/I) so they can be read off a slip
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Accepted roster header names for each student field (compared lower-cased)
+const ROSTER_COLUMNS = {
+  name: ['name', 'student', 'student name', 'full name'],
+  yearGroup: ['yeargroup', 'year group', 'year', 'yr'],
+  className: ['classname', 'class', 'class name', 'form', 'group'],
+  externalId: ['externalid', 'upn', 'student id', 'id'],
+  code: ['code', 'login code']
+};
+
+function generateLoginCode() {
+  // 256 is a multiple of the alphabet length, so every character is equally likely
+  return Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+function normalizeLoginCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Codes are stored as SHA-256 hashes; they are random enough that a slow
+ * hash isn't needed, and a fast one can be looked up by index
+ */
+function hashLoginCode(code) {
+  return crypto.createHash('sha256').update(normalizeLoginCode(code)).digest('hex');
+}
+
+/**
+ * "Year 9", "Yr9" and "9" all become "9"
+ */
+function normalizeYearGroup(value) {
+  return String(value || '').trim().replace(/^(year|yr)\s*/i, '');
+}
+
+/**
+ * Comparison key for free-text class names, so "9Ma2" and "9 ma 2" match
+ */
+function classKey(className) {
+  return String(className || '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Whether a homework is set for a student. When the homework's class has a
+ * roster, that decides; otherwise it's the same year group, and the same class
+ * when the homework names one.
+ */
+function isAssignedTo(homework, student, klass) {
+  if (klass && Array.isArray(klass.studentIds) && klass.studentIds.length) {
+    return klass.studentIds.includes(student.id);
+  }
+  if (!homework.yearGroup || normalizeYearGroup(homework.yearGroup) !== normalizeYearGroup(student.yearGroup)) {
+    return false;
+  }
+  return !homework.className || classKey(homework.className) === classKey(student.className);
+}
+
+/**
+ * Map roster CSV rows onto student fields. Returns `{ rows, errors }` where
+ * errors carry the 1-based line number in the file. `defaults` fills in
+ * columns the file leaves out, e.g. the year group of a class roster.
+ */
+function parseRoster(text, defaults = {}) {
+  const { headers, rows } = parseCsvObjects(text);
+  const columnFor = {};
+  Object.entries(ROSTER_COLUMNS).forEach(([field, aliases]) => {
+    columnFor[field] = headers.find(h => aliases.includes(h.toLowerCase()));
+  });
+
+  const parsed = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const value = field => (columnFor[field] ? row[columnFor[field]] : '');
+    const student = {
+      name: value('name'),
+      yearGroup: normalizeYearGroup(value('yearGroup') || defaults.yearGroup),
+      className: value('className'),
+      externalId: value('externalId') || null,
+      code: value('code') || null
+    };
+    if (!student.name || !student.yearGroup) {
+      errors.push({ line: i + 2, error: 'Name and year group are required' });
+    } else {
+      parsed.push(student);
+    }
+  });
+
+  return { rows: parsed, errors };
+}
+
+/**
+ * Student details that are safe to send to the browser
+ */
+function publicStudent(student) {
+  const { codeHash, ...rest } = student;
+  return rest;
+}
+
+module.exports = {
+  generateLoginCode,
+  hashLoginCode,
+  normalizeYearGroup,
+  classKey,
+  isAssignedTo,
+  parseRoster,
+  publicStudent
+};
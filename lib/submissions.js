@@ -0,0 +1,125 @@
+const { publicMark } = require('./marks');
+
+/**
+ * Student submissions. A student hands in text, files or both against a
+ * homework, before or after it's due; handing in again replaces what they
+ * sent before. A submission made after the end of the due day is late. The
+ * marking queue sorts the students a homework is set for into submitted,
+ * late and missing.
+ */
+const MAX_SUBMISSION_FILES = 5;
+
+/**
+ * One submission per student per homework, so a double click can't record two
+ */
+function submissionId(homeworkId, studentId) {
+  return `${homeworkId}:${studentId}`;
+}
+
+/**
+ * Whether something handed in at `at` came in after the end of the
+ * homework's due day
+ */
+function isLate(homework, at) {
+  const due = new Date(homework.dueDate);
+  due.setUTCHours(23, 59, 59, 999);
+  return new Date(at) > due;
+}
+
+/**
+ * The record kept for a submitted file, from what storing it returned
+ * (`{ filename, path, mimeType, size, sha256 }`, see lib/uploads)
+ */
+function submissionFile(stored, id) {
+  return { id, ...stored };
+}
+
+/**
+ * Where a submitted file is downloaded from. Only the student who handed it
+ * in and teachers who manage the homework can download it.
+ */
+function submissionFileUrl(submission, file) {
+  return `/api/submissions/${encodeURIComponent(submission.id)}/files/${encodeURIComponent(file.id)}`;
+}
+
+/**
+ * A submission as the student who made it and their teachers see it
+ */
+function publicSubmission(submission) {
+  return {
+    id: submission.id,
+    homeworkId: submission.homeworkId,
+    studentId: submission.studentId,
+    text: submission.text,
+    files: submission.files.map(file => ({
+      id: file.id,
+      filename: file.filename,
+      mimeType: file.mimeType,
+      size: file.size,
+      url: submissionFileUrl(submission, file)
+    })),
+    submittedAt: submission.submittedAt,
+    firstSubmittedAt: submission.firstSubmittedAt,
+    attempts: submission.attempts,
+    late: submission.late
+  };
+}
+
+/**
+ * The marking queue for one homework: its students sorted into submitted (on
+ * time), late and missing. Submissions are listed oldest first, the order
+ * they're usually marked in; missing students by name. Each student has their
+ * mark (see lib/marks), or null until they're marked.
+ */
+function markingQueue(homework, students, submissions, marks = [], now = new Date()) {
+  const submissionByStudent = new Map(submissions.map(s => [s.studentId, s]));
+  const markByStudent = new Map(marks.map(m => [m.studentId, m]));
+  const submitted = [];
+  const late = [];
+  const missing = [];
+  students.forEach(student => {
+    const submission = submissionByStudent.get(student.id);
+    const mark = markByStudent.get(student.id);
+    const entry = {
+      studentId: student.id,
+      name: student.name,
+      className: student.className,
+      mark: mark ? publicMark(mark) : null
+    };
+    if (!submission) {
+      missing.push(entry);
+    } else {
+      (submission.late ? late : submitted).push({ ...entry, submission: publicSubmission(submission) });
+    }
+  });
+  const bySubmittedAt = (a, b) => a.submission.submittedAt.localeCompare(b.submission.submittedAt);
+  submitted.sort(bySubmittedAt);
+  late.sort(bySubmittedAt);
+
+  return {
+    homeworkId: homework.id,
+    title: homework.title,
+    subject: homework.subject,
+    dueDate: homework.dueDate,
+    // Until the homework is due, missing only means not handed in yet
+    pastDue: isLate(homework, now),
+    total: students.length,
+    submittedCount: submitted.length,
+    lateCount: late.length,
+    missingCount: missing.length,
+    // Handed in and waiting for a mark
+    unmarkedCount: submitted.concat(late).filter(entry => !entry.mark).length,
+    submitted,
+    late,
+    missing
+  };
+}
+
+module.exports = {
+  MAX_SUBMISSION_FILES,
+  submissionId,
+  isLate,
+  submissionFile,
+  publicSubmission,
+  markingQueue
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { normalizeYearGroup } = require('./students');
+
+/**
+ * Email subscriptions to homework digests. There is one record per email
+ * address and group, where a group is a year group or a class, so counting the
+ * subscribers of a group is a single indexed query.
+ *
+ * Families sign themselves up with double opt-in: a subscription stays
+ * `pending` until the link in the confirmation email is followed, and only
+ * `confirmed` subscriptions get digests. Unsubscribing keeps the record as
+ * `unsubscribed`, so there's a record of consent being given and withdrawn.
+ */
+const STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  return EMAIL_PATTERN.test(normalizeEmail(email));
+}
+
+/**
+ * The groups a request asks for, from `yearGroups` and `classIds` lists.
+ * Returns `{ groups }` or `{ error }`.
+ */
+function requestedGroups({ yearGroups = [], classIds = [] }) {
+  if (!Array.isArray(yearGroups) || !Array.isArray(classIds)) {
+    return { error: 'yearGroups and classIds must be lists' };
+  }
+  const groups = [
+    ...Array.from(new Set(yearGroups.map(normalizeYearGroup).filter(Boolean)))
+      .map(yearGroup => ({ yearGroup, classId: null })),
+    ...Array.from(new Set(classIds.map(String).filter(Boolean)))
+      .map(classId => ({ yearGroup: null, classId }))
+  ];
+  if (!groups.length) {
+    return { error: 'Choose at least one year group or class' };
+  }
+  return { groups };
+}
+
+/**
+ * Whether a subscription is for the given group
+ */
+function isForGroup(subscription, group) {
+  return (subscription.yearGroup || null) === (group.yearGroup || null) &&
+    (subscription.classId || null) === (group.classId || null);
+}
+
+/**
+ * Confirmation links carry a random token; only its hash is stored
+ */
+function generateConfirmToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashConfirmToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function confirmExpiry(now = new Date()) {
+  return new Date(now.getTime() + CONFIRM_TTL_MS).toISOString();
+}
+
+function generateSigningKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function signature(email, key) {
+  return crypto.createHmac('sha256', key).update(normalizeEmail(email)).digest('base64url');
+}
+
+/**
+ * Token for a one-click unsubscribe link: the email address and an HMAC of it,
+ * so the link works without signing in and can't be made up for someone else
+ */
+function signUnsubscribe(email, key) {
+  return `${Buffer.from(normalizeEmail(email)).toString('base64url')}.${signature(email, key)}`;
+}
+
+/**
+ * The email address an unsubscribe token is for, or null when it's been tampered with
+ */
+function verifyUnsubscribe(token, key) {
+  const [encoded, sig] = String(token || '').split('.');
+  if (!encoded || !sig) return null;
+  const email = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(signature(email, key));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+  return normalizeEmail(email);
+}
+
+module.exports = {
+  STATUSES,
+  generateConfirmToken,
+  hashConfirmToken,
+  confirmExpiry,
+  generateSigningKey,
+  signUnsubscribe,
+  verifyUnsubscribe,
+  normalizeEmail,
+  isValidEmail,
+  requestedGroups,
+  isForGroup
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { writeFileAtomic, createQueue } = require('./storage/atomic');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles, least to most privileged. Heads of department manage homework for
+// the subjects listed in their department field; admins manage everything.
+const ROLES = ['teacher', 'hod', 'admin'];
+
+/**
+ * Hash a password as `scrypt$N$r$p$salt$hash` (base64 parts, no colons,
+ * so it fits in the colon-separated teacher_logins.txt format)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+async function verifyPassword(password, stored) {
+  if (!isHashed(stored)) {
+    // Plaintext entry from an older teacher_logins.txt
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Random password handed out when an admin creates or resets an account
+ */
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Returns an error message, or null when the password is acceptable
+ */
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when the display name can be stored
+ */
+function validateDisplayName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (/[:\r\n]/.test(name)) {
+    return 'Name cannot contain colons or line breaks';
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when the role/department pair is valid
+ */
+function validateRole(role, department) {
+  if (!ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (role === 'hod' && !(department || '').trim()) {
+    return 'Heads of department need a department (one or more subjects, comma separated)';
+  }
+  if (/[:\r\n]/.test(department || '')) {
+    return 'Department cannot contain colons or line breaks';
+  }
+  return null;
+}
+
+/**
+ * Subjects a teacher's department field covers, lower-cased
+ */
+function departmentSubjects(teacher) {
+  return String(teacher.department || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseLine(line) {
+  const parts = line.split(':');
+  return {
+    email: parts[0],
+    password: parts[1] || '',
+    name: parts[2] || '',
+    role: ROLES.includes(parts[3]) ? parts[3] : 'teacher',
+    department: parts[4] || '',
+    active: parts[5] !== 'inactive'
+  };
+}
+
+function formatLine(record) {
+  const fields = [record.email, record.password, record.name];
+  if (record.role !== 'teacher' || record.department || !record.active) {
+    fields.push(record.role, record.department || '', record.active ? 'active' : 'inactive');
+  }
+  return fields.join(':');
+}
+
+/**
+ * Account details that are safe to send to the browser
+ */
+function publicTeacher(record) {
+  return {
+    email: record.email,
+    name: record.name,
+    role: record.role,
+    department: record.department,
+    active: record.active
+  };
+}
+
+/**
+ * Teacher accounts kept in teacher_logins.txt, one
+ * `email:password:name[:role:department:active|inactive]` line each.
+ * Passwords are stored as scrypt hashes; plaintext lines from older files
+ * are re-hashed the first time the teacher signs in.
+ */
+function createTeacherStore(file) {
+  const serialize = createQueue();
+
+  function load() {
+    const map = new Map();
+    try {
+      if (!fs.existsSync(file)) return map;
+      const raw = fs.readFileSync(file, 'utf8');
+      const lines = raw.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+      for (const line of lines) {
+        const record = parseLine(line);
+        if (record.email && record.password) {
+          map.set(record.email.toLowerCase(), record);
+        }
+      }
+    } catch (err) {
+      console.error('Error reading teacher_logins.txt', err);
+    }
+    return map;
+  }
+
+  async function write(map) {
+    await writeFileAtomic(file, Array.from(map.values()).map(formatLine).join('\n') + '\n');
+  }
+
+  /**
+   * Apply `fn` to one teacher's record and rewrite the file, with no other
+   * account change in between. Resolves to the updated record, or null.
+   */
+  function update(email, fn) {
+    return serialize(async () => {
+      const map = load();
+      const key = String(email).toLowerCase();
+      const current = map.get(key);
+      if (!current) return null;
+
+      const updated = await fn({ ...current });
+      map.set(key, updated);
+      await write(map);
+      return updated;
+    });
+  }
+
+  /**
+   * Add a new account. Resolves to the record, or null if the email is taken.
+   */
+  function create(record) {
+    return serialize(async () => {
+      const map = load();
+      const key = String(record.email).toLowerCase();
+      if (map.has(key)) return null;
+
+      const created = { role: 'teacher', department: '', active: true, ...record };
+      map.set(key, created);
+      await write(map);
+      return created;
+    });
+  }
+
+  /**
+   * Check an email/password pair. Resolves to the teacher record, or null.
+   */
+  async function authenticate(email, password) {
+    const record = load().get(String(email).toLowerCase().trim());
+    if (!record || !record.active) {
+      // Spend the same time as a real check so unknown emails can't be spotted
+      await hashPassword(String(password));
+      return null;
+    }
+
+    if (!(await verifyPassword(password, record.password))) {
+      return null;
+    }
+
+    if (!isHashed(record.password)) {
+      try {
+        const hashed = await hashPassword(password);
+        await update(record.email, (r) => ({ ...r, password: hashed }));
+      } catch (err) {
+        // Sign-in still succeeds; the line is migrated on a later sign-in
+        console.error('Error migrating plaintext password for', record.email, err);
+      }
+    }
+
+    return record;
+  }
+
+  return {
+    load,
+    list: () => Array.from(load().values()),
+    get: (email) => load().get(String(email).toLowerCase()) || null,
+    create,
+    update,
+    authenticate
+  };
+}
+
+module.exports = {
+  ROLES,
+  createTeacherStore,
+  publicTeacher,
+  departmentSubjects,
+  validateRole,
+  hashPassword,
+  verifyPassword,
+  generateTemporaryPassword,
+  validateNewPassword,
+  validateDisplayName
+};
@@ -0,0 +1,54 @@
+/**
+ * Auto-escaping HTML templates. `html` is a tagged template that escapes every
+ * interpolated value unless it is itself the output of `html` (or `raw`), so
+ * templates can be nested and lists of them joined without double escaping:
+ *
+ *   html`<li>${hw.title}</li>`                       // title is escaped
+ *   html`<ul>${homeworks.map(hw => html`<li>${hw.title}</li>`)}</ul>`
+ *
+ * null, undefined and false render as nothing, so `${cond && html`...`}` works.
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function interpolate(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) =>
+    out + string + (i < values.length ? interpolate(values[i]) : ''), ''));
+}
+
+/**
+ * Markup that is trusted as is. Never pass it anything a user typed.
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw
+};
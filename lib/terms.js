@@ -0,0 +1,108 @@
+/**
+ * The school's term calendar: terms, holidays (half terms and breaks) and
+ * single closure days such as INSET days. It lives in the settings collection
+ * under one record. A day is a school day when it falls inside a term (or no
+ * terms are set) and isn't in a holiday or a closure day.
+ *
+ * Dates are `YYYY-MM-DD` strings in UTC, matching how due dates are stored.
+ */
+const SETTINGS_ID = 'terms';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDay(value) {
+  return typeof value === 'string' && DAY_PATTERN.test(value) && !isNaN(new Date(value));
+}
+
+/**
+ * Returns an error message, or null when `{ terms, holidays, closures }` is a
+ * valid calendar. Terms and holidays have a name, start and end; closures have
+ * a name and a date.
+ */
+function validateTermCalendar(calendar) {
+  if (!calendar || typeof calendar !== 'object') {
+    return 'Term calendar is required';
+  }
+  for (const list of ['terms', 'holidays', 'closures']) {
+    if (calendar[list] !== undefined && !Array.isArray(calendar[list])) {
+      return `${list} must be a list`;
+    }
+  }
+  for (const [list, label] of [['terms', 'Term'], ['holidays', 'Holiday']]) {
+    for (const period of calendar[list] || []) {
+      if (!period || !String(period.name || '').trim()) {
+        return `${label} name is required`;
+      }
+      if (!isDay(period.start) || !isDay(period.end)) {
+        return `${label} "${period.name}" needs start and end dates as YYYY-MM-DD`;
+      }
+      if (period.end < period.start) {
+        return `${label} "${period.name}" ends before it starts`;
+      }
+    }
+  }
+  for (const closure of calendar.closures || []) {
+    if (!closure || !String(closure.name || '').trim()) {
+      return 'Closure day name is required';
+    }
+    if (!isDay(closure.date)) {
+      return `Closure day "${closure.name}" needs a date as YYYY-MM-DD`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A validated calendar with trimmed names, each list in date order
+ */
+function normalizeTermCalendar(calendar) {
+  const period = p => ({ name: String(p.name).trim(), start: p.start, end: p.end });
+  return {
+    terms: (calendar.terms || []).map(period).sort((a, b) => a.start.localeCompare(b.start)),
+    holidays: (calendar.holidays || []).map(period).sort((a, b) => a.start.localeCompare(b.start)),
+    closures: (calendar.closures || [])
+      .map(c => ({ name: String(c.name).trim(), date: c.date }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+/**
+ * Why `day` isn't a school day (the holiday or closure name), or null when it is
+ */
+function nonSchoolReason(calendar, day) {
+  const closure = (calendar.closures || []).find(c => c.date === day);
+  if (closure) return closure.name;
+  const holiday = (calendar.holidays || []).find(h => h.start <= day && day <= h.end);
+  if (holiday) return holiday.name;
+  const terms = calendar.terms || [];
+  if (terms.length && !terms.some(t => t.start <= day && day <= t.end)) {
+    return 'Outside term time';
+  }
+  return null;
+}
+
+function isSchoolDay(calendar, day) {
+  return nonSchoolReason(calendar, day) === null;
+}
+
+/**
+ * Human-readable warnings for homework due on non-school days
+ */
+function termWarnings(calendar, homeworks) {
+  return homeworks
+    .map(hw => {
+      const day = new Date(hw.dueDate).toISOString().slice(0, 10);
+      const reason = nonSchoolReason(calendar, day);
+      return reason && `"${hw.title}" is due on ${day}, which is not a school day (${reason})`;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  SETTINGS_ID,
+  validateTermCalendar,
+  normalizeTermCalendar,
+  nonSchoolReason,
+  isSchoolDay,
+  termWarnings
+};
@@ -0,0 +1,83 @@
+/**
+ * The recycle bin. Deleting homework moves it into the trash along with its
+ * comments, attachments, student completions, submissions and marks; deleting a
+ * single attachment moves just that attachment. Entries can be restored until
+ * they expire, and attachment and submission files stay on disk until the
+ * entry is purged.
+ */
+const KINDS = ['homework', 'attachment'];
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * The trash record for a deleted homework (`related` holds its comments,
+ * attachments, completions, submissions and marks) or a deleted attachment
+ */
+function trashEntry({ id, kind, homework, attachment, related = {}, actor, retentionDays, now = new Date() }) {
+  const expiresAt = new Date(now);
+  expiresAt.setUTCDate(expiresAt.getUTCDate() + retentionDays);
+  return {
+    id,
+    kind,
+    itemId: kind === 'attachment' ? attachment.id : homework.id,
+    homeworkId: homework.id,
+    teacherEmail: (homework.teacherEmail || '').toLowerCase(),
+    deletedAt: now.toISOString(),
+    deletedBy: actor.email,
+    expiresAt: expiresAt.toISOString(),
+    homework,
+    attachment: attachment || null,
+    comments: related.comments || [],
+    attachments: related.attachments || [],
+    completions: related.completions || [],
+    submissions: related.submissions || [],
+    marks: related.marks || []
+  };
+}
+
+/**
+ * Every attachment record a trash entry holds
+ */
+function attachmentsIn(entry) {
+  return entry.kind === 'attachment' ? [entry.attachment] : entry.attachments;
+}
+
+/**
+ * Every stored file a trash entry holds: its attachments and the files of its
+ * submissions. Entries from before submissions existed have none.
+ */
+function filesIn(entry) {
+  return attachmentsIn(entry).concat(...(entry.submissions || []).map(s => s.files));
+}
+
+/**
+ * A trash entry as listed by the trash endpoints
+ */
+function publicTrashEntry(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    itemId: entry.itemId,
+    homeworkId: entry.homeworkId,
+    title: entry.homework.title,
+    subject: entry.homework.subject,
+    dueDate: entry.homework.dueDate,
+    filename: entry.attachment ? entry.attachment.filename : null,
+    teacherEmail: entry.teacherEmail,
+    deletedAt: entry.deletedAt,
+    deletedBy: entry.deletedBy,
+    expiresAt: entry.expiresAt,
+    attachmentCount: attachmentsIn(entry).length,
+    commentCount: entry.comments.length,
+    submissionCount: (entry.submissions || []).length
+  };
+}
+
+module.exports = {
+  KINDS,
+  DEFAULT_RETENTION_DAYS,
+  trashEntry,
+  attachmentsIn,
+  filesIn,
+  publicTrashEntry
+};
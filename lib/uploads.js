@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Checks on uploaded files, and how they're stored. The type a browser sends
+ * is only a claim, so the file's first bytes have to match it. Files are
+ * stored under the SHA-256 of their content: the same worksheet attached to
+ * five classes is one file, which stays until nothing refers to it.
+ */
+const ALLOWED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'text/plain'
+];
+
+const startsWith = bytes => buffer => buffer.length >= bytes.length && buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// Control characters other than tab, newlines, form feed and escape don't turn up in text
+const BINARY_BYTE = /[\x00-\x08\x0b\x0e-\x1a\x1c-\x1f]/;
+
+// How each allowed type's content starts
+const SIGNATURES = {
+  'application/pdf': startsWith([0x25, 0x50, 0x44, 0x46, 0x2d]), // %PDF-
+  'application/msword': startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), // OLE compound file
+  // A zip holding a word/ folder
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': buffer =>
+    startsWith([0x50, 0x4b, 0x03, 0x04])(buffer) && buffer.includes('word/'),
+  'image/jpeg': startsWith([0xff, 0xd8, 0xff]),
+  'image/png': startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'text/plain': buffer => !BINARY_BYTE.test(buffer.toString('latin1'))
+};
+
+/**
+ * Whether a file's content is what its declared type says it is
+ */
+function matchesType(buffer, mimeType) {
+  return Boolean(SIGNATURES[mimeType]) && SIGNATURES[mimeType](buffer);
+}
+
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * A file's own name as a browser sent it, without any folders, control
+ * characters or anything past 200 characters. It's only ever shown and used
+ * as a download name; files are stored under their hash.
+ */
+function cleanFilename(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return base.slice(0, 200) || 'file';
+}
+
+/**
+ * The name a stored file goes by in an attachment or submission record.
+ * Files from before content hashing are named `<time>-<random>-<name>` and
+ * recorded as `/uploads/<that>`.
+ */
+function storedName(record) {
+  return path.basename(record.path);
+}
+
+// ---- Scanning ----
+
+// The industry-standard harmless test file every virus scanner detects
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Stand-in for a real virus scanner, for development and tests: it only finds
+ * the EICAR test file
+ */
+const localScanner = {
+  name: 'local',
+  async scan(buffer) {
+    return buffer.includes(EICAR) ? { clean: false, threat: 'EICAR-Test-File' } : { clean: true };
+  }
+};
+
+/**
+ * The scanner uploads go through. `setting` is 'none' (no scanning), 'local'
+ * (the stand-in above) or the path of a module exporting
+ * `scan(buffer, { filename, mimeType })` that resolves to `{ clean, threat }`,
+ * e.g. a wrapper around clamd. Returns null for 'none'.
+ */
+function createScanner(setting = 'none') {
+  if (!setting || setting === 'none') return null;
+  if (setting === 'local') return localScanner;
+  const scanner = require(path.resolve(setting));
+  if (!scanner || typeof scanner.scan !== 'function') {
+    throw new Error(`Upload scanner ${setting} doesn't export a scan() function`);
+  }
+  return { name: setting, scan: scanner.scan.bind(scanner) };
+}
+
+// ---- Reconciling ----
+
+/**
+ * Compare the files in the uploads folder (`[{ name, modifiedAt }]`) with the
+ * names records refer to. Orphans are files nothing refers to, left by failed
+ * saves or older versions; ones changed within `graceMs` are left alone, as
+ * an upload may be about to be saved. Missing are names with no file.
+ */
+function reconcileUploads({ files, referenced, now = new Date(), graceMs }) {
+  const names = new Set(files.map(file => file.name));
+  return {
+    orphans: files
+      .filter(file => !referenced.has(file.name) && now - file.modifiedAt > graceMs)
+      .map(file => file.name)
+      .sort(),
+    missing: Array.from(referenced).filter(name => !names.has(name)).sort()
+  };
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  matchesType,
+  contentHash,
+  cleanFilename,
+  storedName,
+  EICAR,
+  createScanner,
+  reconcileUploads
+};
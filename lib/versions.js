@@ -0,0 +1,68 @@
+/**
+ * Optimistic concurrency for homework. Every homework carries a version that
+ * goes up by one each time it's saved. Responses send it as an ETag; a write
+ * can send that ETag back in If-Match and is refused if someone else has
+ * saved the homework since.
+ */
+
+/**
+ * Thrown from inside a storage modify() when the stored homework no longer
+ * matches If-Match, so nothing is written. `current` is the stored copy.
+ */
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('This homework was changed by someone else');
+    this.name = 'VersionConflictError';
+    this.code = 'EDIT_CONFLICT';
+    this.current = current;
+  }
+}
+
+/**
+ * A homework's version; records saved before versions existed are version 1
+ */
+function versionOf(record) {
+  return Number.isInteger(record.version) && record.version > 0 ? record.version : 1;
+}
+
+/**
+ * The strong ETag for a homework version. It includes the id so a list of
+ * ETags in one If-Match header can name several homeworks.
+ */
+function etagFor(record) {
+  return `"${record.id}.${versionOf(record)}"`;
+}
+
+/**
+ * The entity tags in an If-Match header, or null when there's no header.
+ * Weak tags (W/"...") are dropped: If-Match only compares strong ones.
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header === null) return null;
+  const value = String(header).trim();
+  if (value === '*') return ['*'];
+  return (value.match(/(?:W\/)?"[^"]*"/g) || []).filter(tag => !tag.startsWith('W/'));
+}
+
+/**
+ * Whether a homework satisfies parsed If-Match tags. No header always does.
+ */
+function matchesIfMatch(tags, record) {
+  return tags === null || tags.includes('*') || tags.includes(etagFor(record));
+}
+
+/**
+ * `next` saved as the version after `current`
+ */
+function nextVersion(current, next) {
+  return { ...next, version: versionOf(current) + 1 };
+}
+
+module.exports = {
+  VersionConflictError,
+  versionOf,
+  etagFor,
+  parseIfMatch,
+  matchesIfMatch,
+  nextVersion
+};
@@ -0,0 +1,139 @@
+/**
+ * Homework workload budgets: how many minutes of homework each year group can
+ * be set per day and per week. Budgets live in the settings collection under
+ * one record; a year group without its own budget uses the default, and a
+ * null limit means no limit.
+ */
+const SETTINGS_ID = 'workload';
+
+const MAX_ESTIMATED_MINUTES = 600;
+
+const EMPTY_BUDGET = { daily: null, weekly: null };
+
+/**
+ * `YYYY-MM-DD` (UTC) for a due date
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * First and last day (Monday to Sunday, UTC) of the week a date falls in
+ */
+function weekRange(date) {
+  const start = new Date(`${dayKey(date)}T00:00:00.000Z`);
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 6);
+  end.setUTCHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+/**
+ * The daily and weekly limits that apply to a year group
+ */
+function budgetFor(settings, yearGroup) {
+  const perYear = (settings && settings.yearGroups) || {};
+  return {
+    ...EMPTY_BUDGET,
+    ...((settings && settings.default) || {}),
+    ...(perYear[String(yearGroup)] || {})
+  };
+}
+
+function validateLimit(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Returns an error message, or null when `{ default, yearGroups }` is a valid
+ * set of budgets
+ */
+function validateBudgets(budgets) {
+  if (!budgets || typeof budgets !== 'object') {
+    return 'Budgets are required';
+  }
+  const entries = [['default', budgets.default || {}]]
+    .concat(Object.entries(budgets.yearGroups || {}));
+  for (const [name, budget] of entries) {
+    if (!budget || typeof budget !== 'object') {
+      return `Budget for ${name} must be an object with daily and weekly minutes`;
+    }
+    for (const limit of ['daily', 'weekly']) {
+      if (budget[limit] !== undefined && !validateLimit(budget[limit])) {
+        return `The ${limit} budget for ${name} must be a whole number of minutes, or null for no limit`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns an error message, or null when the estimate is usable
+ */
+function validateEstimatedMinutes(minutes) {
+  if (minutes === undefined || minutes === null || minutes === '') return null;
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ESTIMATED_MINUTES) {
+    return `Estimated time must be a whole number of minutes between 1 and ${MAX_ESTIMATED_MINUTES}`;
+  }
+  return null;
+}
+
+/**
+ * Minutes of homework due on a homework's day and in its week for its year
+ * group, given every homework set for that year group that week (including
+ * the one being saved).
+ */
+function summarizeLoad(homework, weekHomeworks, budget) {
+  const day = dayKey(homework.dueDate);
+  const minutes = hw => Number(hw.estimatedMinutes) || 0;
+  const sameDay = weekHomeworks.filter(hw => dayKey(hw.dueDate) === day);
+  const dailyMinutes = sameDay.reduce((sum, hw) => sum + minutes(hw), 0);
+  const weeklyMinutes = weekHomeworks.reduce((sum, hw) => sum + minutes(hw), 0);
+
+  return {
+    yearGroup: homework.yearGroup,
+    date: day,
+    dailyMinutes,
+    weeklyMinutes,
+    dailyBudget: budget.daily,
+    weeklyBudget: budget.weekly,
+    overDaily: budget.daily !== null && dailyMinutes > budget.daily,
+    overWeekly: budget.weekly !== null && weeklyMinutes > budget.weekly,
+    homework: sameDay.map(hw => ({
+      id: hw.id,
+      title: hw.title,
+      subject: hw.subject,
+      className: hw.className,
+      estimatedMinutes: minutes(hw)
+    }))
+  };
+}
+
+/**
+ * Human-readable warnings for the budgets a load goes over
+ */
+function budgetWarnings(load) {
+  const warnings = [];
+  if (load.overDaily) {
+    warnings.push(`Year ${load.yearGroup} would have ${load.dailyMinutes} minutes of homework due on ` +
+      `${load.date}, over the daily budget of ${load.dailyBudget}`);
+  }
+  if (load.overWeekly) {
+    warnings.push(`Year ${load.yearGroup} would have ${load.weeklyMinutes} minutes of homework due in ` +
+      `the week of ${load.date}, over the weekly budget of ${load.weeklyBudget}`);
+  }
+  return warnings;
+}
+
+module.exports = {
+  SETTINGS_ID,
+  dayKey,
+  weekRange,
+  budgetFor,
+  validateBudgets,
+  validateEstimatedMinutes,
+  summarizeLoad,
+  budgetWarnings
+};
@@ -3,8 +3,180 @@ const session = require('express-session');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
-const nodemailer = require('nodemailer');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./lib/storage');
+const {
+  createTeacherStore,
+  publicTeacher,
+  departmentSubjects,
+  validateRole,
+  hashPassword,
+  verifyPassword,
+  generateTemporaryPassword,
+  validateNewPassword,
+  validateDisplayName
+} = require('./lib/teachers');
+const {
+  generateLoginCode,
+  hashLoginCode,
+  classKey,
+  normalizeYearGroup,
+  isAssignedTo,
+  parseRoster,
+  publicStudent
+} = require('./lib/students');
+const { classFields, validateClass, publicClass } = require('./lib/classes');
+const {
+  SETTINGS_ID: WORKLOAD_SETTINGS_ID,
+  weekRange,
+  budgetFor,
+  validateBudgets,
+  summarizeLoad,
+  budgetWarnings
+} = require('./lib/workload');
+const {
+  buildCalendar,
+  homeworkEvent,
+  markingEvent,
+  generateFeedToken,
+  hashFeedToken
+} = require('./lib/calendar');
+const {
+  SCOPES,
+  toDay,
+  addDays,
+  normalizeRule,
+  occurrenceDates,
+  splitRule
+} = require('./lib/recurrence');
+const {
+  SETTINGS_ID: TERMS_SETTINGS_ID,
+  validateTermCalendar,
+  normalizeTermCalendar,
+  isSchoolDay,
+  termWarnings
+} = require('./lib/terms');
+const {
+  ACTIONS: HISTORY_ACTIONS,
+  SYSTEM_ACTOR,
+  historyEntry,
+  revertedRecord,
+  publicEntry
+} = require('./lib/history');
+const {
+  DEFAULT_RETENTION_DAYS,
+  trashEntry,
+  filesIn,
+  publicTrashEntry
+} = require('./lib/trash');
+const {
+  SETTINGS_ID: DIGEST_SETTINGS_ID,
+  DEFAULT_JOBS: DEFAULT_DIGEST_JOBS,
+  validateJobs,
+  normalizeJob,
+  lastScheduledTime,
+  nextScheduledTime,
+  isDue,
+  digestWindow,
+  localDay
+} = require('./lib/digests');
+const {
+  notificationEmail,
+  digestEmail,
+  confirmationEmail
+} = require('./lib/emails');
+const {
+  outboxMessage,
+  afterFailure,
+  afterSent,
+  createTransport: createMailTransport,
+  publicOutboxMessage
+} = require('./lib/outbox');
+const {
+  weekOf,
+  validateRange,
+  plannerPdf
+} = require('./lib/planner');
+const {
+  generateConfirmToken,
+  hashConfirmToken,
+  confirmExpiry,
+  generateSigningKey,
+  signUnsubscribe,
+  verifyUnsubscribe,
+  normalizeEmail,
+  isValidEmail,
+  requestedGroups,
+  isForGroup
+} = require('./lib/subscriptions');
+const {
+  MAX_IMPORT_ROWS,
+  BATCH_STATUSES,
+  EXPORT_FORMATS,
+  IMPORT_FIELDS,
+  DATE_FORMATS,
+  suggestMapping,
+  validateMapping,
+  detectDateFormats,
+  valueSuggestions,
+  exportRows,
+  readImportCsv,
+  rowToHomework,
+  itemToHomework,
+  duplicateKey,
+  importBatch,
+  defaultLines,
+  validateLines,
+  publicImportBatch
+} = require('./lib/imports');
+const { toCsv } = require('./lib/csv');
+const { buildXlsx } = require('./lib/xlsx');
+const { FIELDS: SEARCH_FIELDS, createSearchIndex } = require('./lib/search');
+const {
+  NEW_HOMEWORK_SCHEMA,
+  HOMEWORK_UPDATE_SCHEMA,
+  HOMEWORK_SCHEMA,
+  TEMPLATE_SCHEMA,
+  COMMENT_SCHEMA,
+  SUBMISSION_SCHEMA,
+  MARK_SCHEMA,
+  MARK_ENTRY_SCHEMA,
+  validate
+} = require('./lib/schemas');
+const {
+  VersionConflictError,
+  versionOf,
+  etagFor,
+  parseIfMatch,
+  matchesIfMatch,
+  nextVersion
+} = require('./lib/versions');
+const {
+  MAX_SUBMISSION_FILES,
+  submissionId,
+  isLate,
+  submissionFile,
+  publicSubmission,
+  markingQueue
+} = require('./lib/submissions');
+const { readScore, markSummary, publicMark } = require('./lib/marks');
+const {
+  ALLOWED_TYPES: UPLOAD_TYPES,
+  matchesType,
+  contentHash,
+  cleanFilename,
+  storedName,
+  createScanner,
+  reconcileUploads
+} = require('./lib/uploads');
+const {
+  MAX_LINK_DAYS,
+  generateDownloadKey,
+  linkExpiry,
+  signDownload,
+  verifyDownload,
+  contentDisposition
+} = require('./lib/downloads');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,1534 +184,6507 @@ const PORT = process.env.PORT || 3000;
 // Email configuration (update with your SMTP details)
 const emailConfig = {
   host: process.env.EMAIL_HOST || 'smtp.example.com',
-  port: process.env.EMAIL_PORT || 587,
+  port: Number(process.env.EMAIL_PORT) || 587,
   secure: process.env.EMAIL_SECURE === 'true',
-  auth: {
-    user: process.env.EMAIL_USER || 'user@example.com',
-    pass: process.env.EMAIL_PASS || 'password'
-  }
+  // A local capture server (MailHog, smtp4dev) takes mail without logging in
+  auth: process.env.EMAIL_USER ? {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS || ''
+  } : undefined
 };
+const EMAIL_FROM = `"Homework Planner" <${process.env.EMAIL_FROM || 'noreply@example.com'}>`;
 
-const transporter = nodemailer.createTransport(emailConfig);
+// Links in emails need the address families reach the planner at
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // ---- Constants and Configuration ----
 
-const DATA_DIR = __dirname;
-const HOMEWORK_FILE = path.join(DATA_DIR, 'homework.json');
+const DATA_DIR = process.env.DATA_DIR || __dirname;
 const TEACHER_FILE = path.join(DATA_DIR, 'teacher_logins.txt');
-const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
-const COMMENTS_FILE = path.join(DATA_DIR, 'comments.json');
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'homework.db');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const LOGO_FILE = path.join(__dirname, 'images', 'amsi.png');
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MARKING_DAYS = Number(process.env.MARKING_DAYS) || 7; // Marking deadline in teachers' calendar feeds
+const DOWNLOAD_LINK_DAYS = Number(process.env.DOWNLOAD_LINK_DAYS) || 7; // How long file links in emails and calendar feeds work
+const RECURRENCE_HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS) || 90; // How far ahead recurring homework is generated
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS; // Days deleted homework can be restored
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'smtp'; // 'preview' writes emails to EMAIL_PREVIEW_DIR instead of sending them
+const EMAIL_PREVIEW_DIR = process.env.EMAIL_PREVIEW_DIR || path.join(DATA_DIR, 'email_previews');
+const OUTBOX_RETENTION_DAYS = Number(process.env.OUTBOX_RETENTION_DAYS) || 30; // Days sent and failed emails stay in the outbox
+const UPLOAD_GRACE_MS = 60 * 60 * 1000; // Files younger than this are never treated as orphans
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
-  }
-});
+// Virus scanner for uploads (see lib/uploads): 'none', 'local' or a module path
+const uploadScanner = createScanner(process.env.UPLOAD_SCANNER);
+
+// Delivers emails from the outbox (see lib/outbox)
+const mailTransport = createMailTransport({ mode: EMAIL_TRANSPORT, smtp: emailConfig, previewDir: EMAIL_PREVIEW_DIR });
 
+// Configure multer for file uploads. Files are held in memory until storeUploads()
+// has checked them, so nothing reaches the uploads folder unchecked.
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: MAX_FILE_SIZE },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'image/jpeg',
-      'image/png',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (UPLOAD_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, JPG, PNG, and TXT files are allowed.'), false);
+      const error = new Error('Invalid file type. Only PDF, DOC, DOCX, JPG, PNG, and TXT files are allowed.');
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
     }
   }
 });
 
 // ---- Data Management Functions ----
 
-function loadHomeworks() {
-  try {
-    if (!fs.existsSync(HOMEWORK_FILE)) return [];
-    const raw = fs.readFileSync(HOMEWORK_FILE, 'utf8');
-    if (!raw.trim()) return [];
-    
-    const homeworks = JSON.parse(raw);
-    // Ensure all homeworks have required fields
-    return homeworks.map(hw => ({
-      id: hw.id || uuidv4(),
-      title: hw.title || 'Untitled',
-      subject: hw.subject || '',
-      description: hw.description || '',
-      dueDate: hw.dueDate || new Date().toISOString(),
-      createdAt: hw.createdAt || new Date().toISOString(),
-      updatedAt: hw.updatedAt || new Date().toISOString(),
-      completed: hw.completed || false,
-      priority: hw.priority || 'medium',
-      tags: Array.isArray(hw.tags) ? hw.tags : [],
-      attachments: Array.isArray(hw.attachments) ? hw.attachments : [],
-      teacherEmail: hw.teacherEmail || '',
-      teacherName: hw.teacherName || '',
-      yearGroup: hw.yearGroup || '',
-      className: hw.className || '',
-      isRecurring: hw.isRecurring || false,
-      recurrence: hw.recurrence || { type: 'none', interval: 1, daysOfWeek: [] },
-      nextOccurrence: hw.nextOccurrence || null,
-      parentId: hw.parentId || null,
-      comments: Array.isArray(hw.comments) ? hw.comments : []
-    }));
-  } catch (err) {
-    console.error('Error reading homework.json', err);
-    return [];
-  }
+// Teacher accounts (teacher_logins.txt)
+const teachers = createTeacherStore(TEACHER_FILE);
+
+// Storage driver: 'json' keeps everything in DATA_DIR/*.json, 'sqlite' uses an
+// embedded database (see lib/storage). Set STORAGE_DRIVER to switch.
+let storage;
+
+/**
+ * Fill in defaults for homework records written by older versions
+ */
+function normalizeHomework(hw) {
+  return {
+    id: hw.id || uuidv4(),
+    title: hw.title || 'Untitled',
+    subject: hw.subject || '',
+    description: hw.description || '',
+    dueDate: hw.dueDate || new Date().toISOString(),
+    createdAt: hw.createdAt || new Date().toISOString(),
+    updatedAt: hw.updatedAt || new Date().toISOString(),
+    completed: hw.completed || false,
+    priority: hw.priority || 'medium',
+    tags: Array.isArray(hw.tags) ? hw.tags : [],
+    teacherEmail: hw.teacherEmail || '',
+    teacherName: hw.teacherName || '',
+    yearGroup: hw.yearGroup || '',
+    className: hw.className || '',
+    classId: hw.classId || null,
+    estimatedMinutes: hw.estimatedMinutes != null ? Number(hw.estimatedMinutes) : null,
+    linkUrl: hw.linkUrl || null,
+    isRecurring: Boolean(hw.seriesId),
+    seriesId: hw.seriesId || null,
+    occurrenceDate: hw.occurrenceDate || null,
+    markScheme: hw.markScheme || null,
+    version: versionOf(hw)
+  };
 }
 
-function saveHomeworks(list) {
-  try {
-    // Ensure we're not saving internal properties
-    const sanitizedList = list.map(({ _id, __v, ...rest }) => ({
-      ...rest,
-      updatedAt: new Date().toISOString()
-    }));
-    
-    fs.writeFileSync(HOMEWORK_FILE, JSON.stringify(sanitizedList, null, 2), 'utf8');
-    return true;
-  } catch (err) {
-    console.error('Error writing homework.json', err);
-    return false;
-  }
+/**
+ * Send the field errors from validate() (see lib/schemas) as a 400, with the
+ * first one as the message
+ */
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: errors[0].message,
+    code: 'VALIDATION_ERROR',
+    errors
+  });
 }
 
-function loadTeacherLogins() {
-  const map = new Map();
-  try {
-    if (!fs.existsSync(TEACHER_FILE)) return map;
-    const raw = fs.readFileSync(TEACHER_FILE, 'utf8');
-    const lines = raw.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-    for (const line of lines) {
-      const parts = line.split(':');
-      const email = parts[0];
-      const password = parts[1] || '';
-      const name = parts[2] || '';
-      if (email && password) {
-        map.set(email.toLowerCase(), { email, password, name });
-      }
+/**
+ * Workload budgets, or the empty (unlimited) set when none are configured
+ */
+async function workloadSettings() {
+  return (await storage.settings.get(WORKLOAD_SETTINGS_ID)) ||
+    { id: WORKLOAD_SETTINGS_ID, default: {}, yearGroups: {} };
+}
+
+/**
+ * The term calendar, or an empty one (every day a school day) when none is set
+ */
+async function termCalendar() {
+  return (await storage.settings.get(TERMS_SETTINGS_ID)) ||
+    { id: TERMS_SETTINGS_ID, terms: [], holidays: [], closures: [] };
+}
+
+let logo;
+
+/**
+ * The school logo for planner PDFs, read once; null if it can't be read
+ */
+function plannerLogo() {
+  if (logo === undefined) {
+    try {
+      logo = fs.readFileSync(LOGO_FILE);
+    } catch (err) {
+      console.warn('No logo for planner PDFs:', err.message);
+      logo = null;
     }
-  } catch (err) {
-    console.error('Error reading teacher_logins.txt', err);
   }
-  return map;
+  return logo;
 }
 
-function loadTemplates() {
-  try {
-    if (!fs.existsSync(TEMPLATES_FILE)) return [];
-    const raw = fs.readFileSync(TEMPLATES_FILE, 'utf8');
-    if (!raw.trim()) return [];
-    return JSON.parse(raw);
-  } catch (err) {
-    console.error('Error reading templates.json', err);
-    return [];
-  }
+/**
+ * The planner PDF for `homeworks`, with non-school days marked from the term calendar
+ */
+async function renderPlanner({ from, to, filterLabel, homeworks }) {
+  const [calendar, classes] = await Promise.all([termCalendar(), storage.classes.find()]);
+  return plannerPdf({
+    from,
+    to,
+    filterLabel,
+    homeworks,
+    calendar,
+    classCodes: new Map(classes.map(klass => [klass.id, klass.code])),
+    logo: plannerLogo()
+  });
 }
 
-function saveTemplates(list) {
-  try {
-    fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(list, null, 2), 'utf8');
-  } catch (err) {
-    console.error('Error writing templates.json', err);
-  }
+/**
+ * Homework due in a year group's week containing `date`
+ */
+async function weekHomework(yearGroup, date) {
+  const { start, end } = weekRange(date);
+  const homeworks = await storage.homework.find({
+    yearGroup,
+    dueDate: { $gte: start.toISOString(), $lte: end.toISOString() }
+  });
+  return homeworks.map(normalizeHomework);
 }
 
-// Create necessary directories if they don't exist
-[UPLOADS_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+/**
+ * The load on each saved homework's due day and week for its year group,
+ * counting the homeworks being saved in place of their stored versions
+ */
+async function workloadFor(homeworks) {
+  const settings = await workloadSettings();
+  const savingIds = new Set(homeworks.map(hw => hw.id));
+  const reports = [];
+  
+  for (const hw of homeworks.filter(h => h.yearGroup)) {
+    const { start, end } = weekRange(hw.dueDate);
+    const inWeek = h => new Date(h.dueDate) >= start && new Date(h.dueDate) <= end;
+    const week = (await weekHomework(hw.yearGroup, hw.dueDate))
+      .filter(h => !savingIds.has(h.id))
+      .concat(homeworks.filter(h => String(h.yearGroup) === String(hw.yearGroup) && inWeek(h)));
+    reports.push(summarizeLoad(hw, week, budgetFor(settings, hw.yearGroup)));
   }
-});
+  
+  return reports;
+}
 
-// Initialize empty files if they don't exist
-[COMMENTS_FILE].forEach(file => {
-  if (!fs.existsSync(file)) {
-    fs.writeFileSync(file, '[]', 'utf8');
+/**
+ * Storage filter for the indexed homework query parameters shared by
+ * GET /api/homework and the calendar feeds
+ */
+function homeworkWhere({ subject, yearGroup, classId, teacherEmail, from, to }) {
+  const where = {};
+  if (subject) where.subject = subject;
+  if (yearGroup) where.yearGroup = normalizeYearGroup(yearGroup);
+  if (classId) where.classId = classId;
+  if (teacherEmail) where.teacherEmail = teacherEmail;
+  if (from || to) {
+    where.dueDate = {};
+    if (from) {
+      where.dueDate.$gte = new Date(from).toISOString();
+    }
+    if (to) {
+      const toDate = new Date(to);
+      toDate.setHours(23, 59, 59, 999); // End of day
+      where.dueDate.$lte = toDate.toISOString();
+    }
   }
-});
+  return where;
+}
 
-// ---- Middleware ----
+/**
+ * Every homework as a search document, with its comment text and attachment
+ * filenames (see lib/search)
+ */
+async function searchDocuments() {
+  const [homeworks, comments, attachments] = await Promise.all([
+    storage.homework.find(),
+    storage.comments.find(),
+    storage.attachments.find()
+  ]);
+  const documents = new Map(homeworks.map(hw => [hw.id, {
+    id: hw.id,
+    fields: {
+      title: hw.title || '',
+      subject: hw.subject || '',
+      description: hw.description || '',
+      tags: Array.isArray(hw.tags) ? hw.tags : [],
+      comments: [],
+      attachments: []
+    }
+  }]));
+  comments.forEach(comment => {
+    const doc = documents.get(comment.homeworkId);
+    if (doc && comment.content) doc.fields.comments.push(comment.content);
+  });
+  attachments.forEach(attachment => {
+    const doc = documents.get(attachment.homeworkId);
+    if (doc && attachment.filename) doc.fields.attachments.push(attachment.filename);
+  });
+  return Array.from(documents.values());
+}
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Rebuilt on the next search after homework, comments or attachments change
+const homeworkSearch = createSearchIndex({ load: searchDocuments });
 
-// Rate limiting middleware
-const rateLimit = require('express-rate-limit');
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
+/**
+ * Homework matching the GET /api/homework filters, sorted by due date. Shared
+ * with the export so a file holds exactly the list that was on screen.
+ */
+async function filterHomeworks(query) {
+  const { search, status, priority, tag } = query;
 
-// Apply rate limiting to all API routes
-app.use('/api/', limiter);
+  // Indexed filters are answered by the storage driver
+  let homeworks = (await storage.homework.find(homeworkWhere(query), { sort: 'dueDate' })).map(normalizeHomework);
 
-// Simple CORS - allow all origins for development, works on Vercel too
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
+  // Remaining filters
+  if (search) {
+    const matches = await homeworkSearch.search(String(search), { ids: new Set(homeworks.map(hw => hw.id)) });
+    const matched = new Set(matches.map(match => match.id));
+    homeworks = homeworks.filter(hw => matched.has(hw.id));
   }
-  next();
-});
 
-// Session configuration
-const sessionConfig = {
-  secret: process.env.SESSION_SECRET || 'your-secret-key', // Change this to a secure secret in production
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: process.env.NODE_ENV === 'production',
-    httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  if (status) {
+    const isCompleted = status.toLowerCase() === 'completed';
+    homeworks = homeworks.filter(hw => hw.completed === isCompleted);
   }
-};
 
-if (process.env.NODE_ENV === 'production') {
-  app.set('trust proxy', 1); // Trust first proxy
-  sessionConfig.cookie.secure = true; // Serve secure cookies
-}
+  if (priority) {
+    homeworks = homeworks.filter(hw => 
+      hw.priority && hw.priority.toLowerCase() === priority.toLowerCase()
+    );
+  }
 
-app.use(session(sessionConfig));
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'amsi-homework-secret-key-change-in-production',
-    resave: true, // Changed to true for better compatibility
-    saveUninitialized: false,
-    name: 'homework.sid', // Custom session name
-    cookie: {
-      maxAge: 1000 * 60 * 60 * 24, // 24 hours
-      httpOnly: true,
-      secure: false, // false for HTTP, true for HTTPS (Vercel handles this)
-      sameSite: 'lax',
-      path: '/',
-    },
-  })
-);
+  if (tag) {
+    const tags = Array.isArray(tag) ? tag : [tag];
+    homeworks = homeworks.filter(hw => 
+      hw.tags && tags.some(t => hw.tags.includes(t))
+    );
+  }
 
-// Static assets
-// For local development: /images/** served from ./images
-app.use('/images', express.static(path.join(__dirname, 'images')));
-// Frontend HTML/CSS/JS in ./public
-app.use(express.static(path.join(__dirname, 'public')));
+  return homeworks;
+}
 
-// ---- API routes ----
+/**
+ * Attach each homework's comments and attachments, which live in their own collections
+ */
+async function withRelations(homeworks) {
+  const ids = homeworks.map(hw => hw.id);
+  const [comments, attachments] = await Promise.all([
+    storage.comments.find({ homeworkId: { $in: ids } }),
+    storage.attachments.find({ homeworkId: { $in: ids } })
+  ]);
 
-// Get all homework (public - students)
-app.get('/api/homework', (req, res) => {
-  const all = loadHomeworks();
-  res.json(all);
-});
+  const group = (records) => records.reduce((map, record) => {
+    if (!map.has(record.homeworkId)) map.set(record.homeworkId, []);
+    map.get(record.homeworkId).push(record);
+    return map;
+  }, new Map());
+  const commentsByHomework = group(comments);
+  const attachmentsByHomework = group(attachments);
 
-// Teacher login - completely rebuilt
-app.post('/api/login', (req, res) => {
-  console.log('Login attempt received');
-  try {
-    const { email, password } = req.body || {};
-    
-    console.log('Email received:', email ? 'yes' : 'no', 'Password received:', password ? 'yes' : 'no');
-    
-    if (!email || !password) {
-      console.log('Missing email or password');
-      return res.status(400).json({ error: 'Email and password required' });
-    }
+  return homeworks.map(hw => ({
+    ...hw,
+    attachments: (attachmentsByHomework.get(hw.id) || []).map(publicAttachment),
+    comments: commentsByHomework.get(hw.id) || []
+  }));
+}
 
-    const logins = loadTeacherLogins();
-    console.log('Loaded logins:', logins.size, 'entries');
-    
-    const emailLower = String(email).toLowerCase().trim();
-    const record = logins.get(emailLower);
-    
-    console.log('Looking for email:', emailLower);
-    console.log('Found record:', record ? 'yes' : 'no');
-    
-    if (!record) {
-      console.log('No record found for email');
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
-    
-    if (record.password !== password) {
-      console.log('Password mismatch');
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+/**
+ * Who made a request, for the change history
+ */
+function actorFrom(req) {
+  return {
+    email: req.session.teacherEmail,
+    name: req.session.teacherName,
+    role: req.session.role
+  };
+}
 
-    // Set session data
-    req.session.teacherEmail = record.email;
-    req.session.teacherName = record.name || record.email;
-    req.session.save((err) => {
-      if (err) {
-        console.error('Session save error:', err);
-        return res.status(500).json({ error: 'Failed to create session' });
-      }
-      
-      console.log('Login successful for:', record.email);
-      console.log('Session ID:', req.sessionID);
-      
-      res.json({ 
-        success: true,
-        teacherEmail: record.email, 
-        teacherName: req.session.teacherName,
-        email: record.email 
+// The last history write queued for each homework
+const historyWrites = new Map();
+
+/**
+ * Append a change to a homework's history; versions count up from 1 for each
+ * homework. Updates that change nothing aren't recorded. Writes for one
+ * homework run one at a time, so saves that land together still get
+ * different versions.
+ */
+function recordHistory(action, { before = null, after = null, changes, details, actor }) {
+  const homeworkId = (after || before).id;
+  const write = (historyWrites.get(homeworkId) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const entry = historyEntry({
+        id: uuidv4(),
+        homeworkId,
+        version: (await storage.history.count({ homeworkId })) + 1,
+        action,
+        actor,
+        before,
+        after,
+        changes,
+        details
       });
+      if (action === 'update' && !Object.keys(entry.changes).length) return null;
+      return storage.history.insert(entry);
     });
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Server error during login: ' + err.message });
+  historyWrites.set(homeworkId, write);
+  write.catch(() => {}).then(() => {
+    if (historyWrites.get(homeworkId) === write) historyWrites.delete(homeworkId);
+  });
+  return write;
+}
+
+/**
+ * Record the creation of new homeworks
+ */
+async function recordCreated(homeworks, actor) {
+  for (const hw of homeworks) {
+    await recordHistory('create', { after: hw, actor });
   }
-});
+}
 
-// Logout
-app.post('/api/logout', (req, res) => {
-  console.log('Logout requested');
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Logout error:', err);
-      return res.status(500).json({ error: 'Failed to logout' });
-    }
-    console.log('Logout successful');
-    res.json({ ok: true, message: 'Logged out successfully' });
+/**
+ * storage.homework.modify that moves the homework to its next version and
+ * records the change in its history. With `ifMatch` (parsed If-Match tags),
+ * throws VersionConflictError and writes nothing if the stored homework
+ * doesn't match them.
+ */
+async function modifyHomework(id, fn, actor, action = 'update', { ifMatch = null } = {}) {
+  let before = null;
+  const after = await storage.homework.modify(id, current => {
+    if (!matchesIfMatch(ifMatch, current)) throw new VersionConflictError(current);
+    before = current;
+    return nextVersion(current, fn(current));
   });
-});
+  if (after) {
+    await recordHistory(action, { before, after, actor });
+  }
+  return after;
+}
 
-// Helper middleware - check if teacher is logged in
-function requireTeacher(req, res, next) {
-  console.log('Checking teacher auth, session:', req.session ? 'exists' : 'missing');
-  console.log('Session teacherEmail:', req.session?.teacherEmail || 'none');
+/**
+ * Move homeworks to the trash along with their comments, attachment records,
+ * student completions, submissions and marks. Removed occurrences of a recurring series are recorded
+ * as exceptions so the series doesn't generate them again. The history of each
+ * homework is kept.
+ */
+async function removeHomeworks(ids, { recordExceptions = true, actor = SYSTEM_ACTOR } = {}) {
+  const removed = await storage.homework.find({ id: { $in: ids } });
+  if (recordExceptions) {
+    const occurrences = removed.filter(hw => hw.seriesId);
+    const daysBySeries = occurrences.reduce((map, hw) => {
+      map.set(hw.seriesId, (map.get(hw.seriesId) || []).concat(hw.occurrenceDate));
+      return map;
+    }, new Map());
+    for (const [seriesId, days] of daysBySeries) {
+      await storage.series.modify(seriesId, current => ({
+        ...current,
+        exceptions: Array.from(new Set([...current.exceptions, ...days])).sort()
+      }));
+    }
+  }
   
-  if (!req.session || !req.session.teacherEmail) {
-    console.log('Teacher not authenticated');
-    return res.status(401).json({ error: 'Not signed in. Please log in again.' });
-  console.log('Teacher authenticated:', req.session.teacherEmail);
-  next();
+  const where = { homeworkId: { $in: ids } };
+  const [comments, attachments, completions, submissions, marks] = await Promise.all([
+    storage.comments.find(where),
+    storage.attachments.find(where),
+    storage.completions.find(where),
+    storage.submissions.find(where),
+    storage.marks.find(where)
+  ]);
+  const forHomework = (records, hw) => records.filter(r => r.homeworkId === hw.id);
+  await storage.trash.insertMany(removed.map(hw => trashEntry({
+    id: uuidv4(),
+    kind: 'homework',
+    homework: hw,
+    related: {
+      comments: forHomework(comments, hw),
+      attachments: forHomework(attachments, hw),
+      completions: forHomework(completions, hw),
+      submissions: forHomework(submissions, hw),
+      marks: forHomework(marks, hw)
+    },
+    actor,
+    retentionDays: TRASH_RETENTION_DAYS
+  })));
+  
+  await storage.comments.removeWhere(where);
+  await storage.attachments.removeWhere(where);
+  await storage.completions.removeWhere(where);
+  await storage.submissions.removeWhere(where);
+  await storage.marks.removeWhere(where);
+  const count = await storage.homework.removeWhere({ id: { $in: ids } });
+  for (const hw of removed) {
+    await recordHistory('delete', { before: hw, actor });
+  }
+  return count;
 }
 
-// ---- Middleware Functions ----
-
 /**
- * Middleware to check if user is authenticated as a teacher
+ * Where an attachment's or submitted file is stored
  */
-function requireTeacher(req, res, next) {
-  if (req.session && req.session.teacherEmail) {
-    return next();
-  }
-  res.status(401).json({ 
-    success: false,
-    error: 'Authentication required',
-    code: 'AUTH_REQUIRED'
-  });
+function attachmentFile(attachment) {
+  return path.join(UPLOADS_DIR, storedName(attachment));
 }
 
 /**
- * Middleware to check if user has permission to modify a homework
+ * Check and store files multer has read into memory. Each file's content has
+ * to match its declared type and pass the upload scanner, if there is one.
+ * Files are stored under the SHA-256 of their content, so a file uploaded
+ * again is the file already stored. Resolves to `{ files }`, the fields to
+ * keep on the attachment or submission record, or `{ status, error, code }`
+ * when a file is turned away (and then nothing is stored).
  */
-async function checkHomeworkPermission(req, res, next) {
-  try {
-    const homeworkId = req.params.id;
-    const homeworks = loadHomeworks();
-    const homework = homeworks.find(h => h.id === homeworkId);
-    
-    if (!homework) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
-      });
+async function storeUploads(uploaded) {
+  for (const file of uploaded) {
+    if (!matchesType(file.buffer, file.mimetype)) {
+      return {
+        status: 400,
+        error: `${cleanFilename(file.originalname)} is not a valid ${file.mimetype} file`,
+        code: 'CONTENT_MISMATCH'
+      };
     }
-    
-    // Allow admins or the original teacher to modify
-    if (req.session.isAdmin || homework.teacherEmail === req.session.teacherEmail) {
-      req.homework = homework;
-      return next();
+  }
+  
+  if (uploadScanner) {
+    for (const file of uploaded) {
+      let result;
+      try {
+        result = await uploadScanner.scan(file.buffer, { filename: cleanFilename(file.originalname), mimeType: file.mimetype });
+      } catch (error) {
+        console.error(`Upload scanner ${uploadScanner.name} failed:`, error);
+        return { status: 503, error: 'Uploads could not be checked for viruses, try again later', code: 'SCAN_FAILED' };
+      }
+      if (!result || !result.clean) {
+        const threat = (result && result.threat) || 'unknown threat';
+        console.warn(`Rejected upload ${cleanFilename(file.originalname)}: ${threat}`);
+        return { status: 422, error: `${cleanFilename(file.originalname)} was rejected by the virus scanner (${threat})`, code: 'FILE_REJECTED' };
+      }
+    }
+  }
+  
+  const files = [];
+  for (const file of uploaded) {
+    const sha256 = contentHash(file.buffer);
+    const filePath = path.join(UPLOADS_DIR, sha256);
+    // A file already stored is touched, so the upload sweep treats it as new
+    // until the record that refers to it is saved
+    const now = new Date();
+    const reused = await fs.promises.utimes(filePath, now, now).then(() => true, err => {
+      if (err.code !== 'ENOENT') throw err;
+      return false;
+    });
+    if (!reused) {
+      // Write then rename, so a half-written file is never served
+      const tmpPath = path.join(UPLOADS_DIR, `.tmp-${uuidv4()}`);
+      await fs.promises.writeFile(tmpPath, file.buffer);
+      await fs.promises.rename(tmpPath, filePath);
+    }
+    files.push({
+      filename: cleanFilename(file.originalname),
+      path: sha256,
+      mimeType: file.mimetype,
+      size: file.size,
+      sha256
+    });
+  }
+  return { files };
+}
+
+/**
+ * Names of every stored file a record refers to: attachments, submitted
+ * files, and both of those in the trash
+ */
+async function referencedFiles() {
+  const [attachments, submissions, trash] = await Promise.all([
+    storage.attachments.find(),
+    storage.submissions.find(),
+    storage.trash.find()
+  ]);
+  const files = attachments
+    .concat(...submissions.map(s => s.files))
+    .concat(...trash.map(filesIn));
+  return new Set(files.map(storedName));
+}
+
+/**
+ * Where an attachment is downloaded from. Teachers and the students the
+ * homework is set for can download it; anyone else needs a signed link.
+ */
+function attachmentUrl(attachment) {
+  return `/api/homework/${encodeURIComponent(attachment.homeworkId)}/attachments/${encodeURIComponent(attachment.id)}/download`;
+}
+
+/**
+ * An attachment record as the API sends it: with its download URL in place
+ * of where it's stored
+ */
+function publicAttachment(attachment) {
+  return {
+    id: attachment.id,
+    homeworkId: attachment.homeworkId,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedBy: attachment.uploadedBy,
+    uploadedAt: attachment.uploadedAt,
+    url: attachmentUrl(attachment)
+  };
+}
+
+/**
+ * A full download link for an attachment that works without signing in until
+ * `expires` (see lib/downloads), for emails and calendar feeds
+ */
+function signedAttachmentUrl(attachment, key, expires) {
+  return `${PUBLIC_URL}${attachmentUrl(attachment)}?${signDownload(`attachment:${attachment.id}`, expires, key)}`;
+}
+
+/**
+ * Homeworks with their attachments as `{ filename, mimeType, url }`, where
+ * the URLs are signed links lasting DOWNLOAD_LINK_DAYS. Only sign them for
+ * readers who are already allowed the files (a teacher's private feed, emails
+ * to confirmed subscribers); with `signed: false` the URLs go to the download
+ * route, which checks access itself.
+ */
+async function withDownloadLinks(homeworks, { signed = true } = {}) {
+  const attachments = await storage.attachments.find({ homeworkId: { $in: homeworks.map(hw => hw.id) } });
+  const key = signed ? await downloadKey() : null;
+  const expires = linkExpiry(DOWNLOAD_LINK_DAYS);
+  return homeworks.map(hw => ({
+    ...hw,
+    attachments: attachments
+      .filter(attachment => attachment.homeworkId === hw.id)
+      .map(attachment => ({
+        filename: attachment.filename,
+        mimeType: attachment.mimeType,
+        url: signed ? signedAttachmentUrl(attachment, key, expires) : `${PUBLIC_URL}${attachmentUrl(attachment)}`
+      }))
+  }));
+}
+
+/**
+ * Send a stored file as a download under its original name. The type is the
+ * one checked at upload, and browsers are told not to guess another.
+ */
+function sendStoredFile(res, file) {
+  const filePath = attachmentFile(file);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found',
+      code: 'FILE_MISSING'
+    });
+  }
+  res.set({
+    'Content-Type': file.mimeType || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(file.filename),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-cache'
+  });
+  res.sendFile(filePath);
+}
+
+/**
+ * Delete the stored files of attachment or submission file records whose
+ * records have gone. A file other records still refer to (the same content
+ * uploaded again) is kept.
+ */
+async function releaseFiles(files) {
+  if (!files.length) return;
+  const referenced = await referencedFiles();
+  for (const file of files) {
+    const filePath = attachmentFile(file);
+    if (!referenced.has(storedName(file)) && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+/**
+ * Compare the uploads folder with the records that refer to it (see
+ * lib/uploads). Orphaned files are deleted unless `dryRun`; missing ones are
+ * only reported. Runs at startup and then twice a day.
+ */
+async function sweepUploads({ dryRun = false } = {}) {
+  const names = await fs.promises.readdir(UPLOADS_DIR);
+  const files = [];
+  for (const name of names) {
+    const stat = await fs.promises.stat(path.join(UPLOADS_DIR, name));
+    if (stat.isFile()) files.push({ name, modifiedAt: stat.mtime });
+  }
+  const { orphans, missing } = reconcileUploads({
+    files,
+    referenced: await referencedFiles(),
+    graceMs: UPLOAD_GRACE_MS
+  });
+  
+  if (!dryRun) {
+    for (const name of orphans) {
+      await fs.promises.unlink(path.join(UPLOADS_DIR, name)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+  }
+  if (missing.length) {
+    console.warn(`${missing.length} uploaded file(s) referred to by records are missing: ${missing.join(', ')}`);
+  }
+  return { checked: files.length, orphans, missing, removed: dryRun ? 0 : orphans.length };
+}
+
+/**
+ * Put a trash entry back. Resolves to `{ homework }`, or `{ error, status }`
+ * when it can't be restored.
+ */
+async function restoreTrash(entry, actor) {
+  if (entry.kind === 'attachment') {
+    const homework = await storage.homework.get(entry.homeworkId);
+    if (!homework) {
+      return { error: 'Restore the homework this attachment belongs to first', status: 409 };
+    }
+    await storage.attachments.insert(entry.attachment);
+    await storage.trash.remove(entry.id);
+    // A new version, so ETags for the homework and its attachments move on
+    const updated = await storage.homework.modify(homework.id, current => nextVersion(current, {
+      ...current,
+      updatedAt: new Date().toISOString()
+    }));
+    await recordHistory('attachment_added', {
+      before: homework,
+      after: updated || homework,
+      changes: { attachment: { from: null, to: { id: entry.attachment.id, filename: entry.attachment.filename } } },
+      details: { restored: true },
+      actor
+    });
+    return { homework: updated || homework };
+  }
+  
+  if (await storage.homework.get(entry.homeworkId)) {
+    return { error: 'This homework already exists', status: 409 };
+  }
+  
+  let homework = entry.homework;
+  if (homework.seriesId) {
+    const series = await storage.series.get(homework.seriesId);
+    if (series) {
+      await storage.series.modify(series.id, current => ({
+        ...current,
+        exceptions: current.exceptions.filter(day => day !== homework.occurrenceDate)
+      }));
+    } else {
+      // The rest of the series is gone, so the occurrence comes back on its own
+      homework = { ...homework, seriesId: null, occurrenceDate: null, isRecurring: false };
+    }
+  }
+  
+  await storage.homework.insert(homework);
+  if (entry.comments.length) await storage.comments.insertMany(entry.comments);
+  if (entry.attachments.length) await storage.attachments.insertMany(entry.attachments);
+  if (entry.completions.length) await storage.completions.insertMany(entry.completions);
+  if (entry.submissions && entry.submissions.length) await storage.submissions.insertMany(entry.submissions);
+  if (entry.marks && entry.marks.length) await storage.marks.insertMany(entry.marks);
+  await storage.trash.remove(entry.id);
+  await recordHistory('restore', { after: homework, actor });
+  return { homework };
+}
+
+/**
+ * Permanently delete trash entries and their attachment and submission files
+ */
+async function purgeTrash(entries, actor) {
+  for (const entry of entries) {
+    await storage.trash.remove(entry.id);
+    await releaseFiles(filesIn(entry));
+    if (entry.kind === 'homework') {
+      await recordHistory('purge', { before: entry.homework, actor });
+    }
+  }
+  return entries.length;
+}
+
+/**
+ * Purge trash entries past their retention period. Runs at startup and then twice a day.
+ */
+async function sweepTrash() {
+  const expired = await storage.trash.find({ expiresAt: { $lte: new Date().toISOString() } });
+  return purgeTrash(expired, SYSTEM_ACTOR);
+}
+
+/**
+ * Students a homework is set for
+ */
+async function studentsForHomework(homework) {
+  const klass = homework.classId && await storage.classes.get(homework.classId);
+  let candidates;
+  if (klass && klass.studentIds && klass.studentIds.length) {
+    candidates = await storage.students.find({ id: { $in: klass.studentIds } });
+  } else if (homework.yearGroup) {
+    candidates = await storage.students.find({ yearGroup: homework.yearGroup });
+  } else {
+    return [];
+  }
+  return candidates
+    .filter(student => isAssignedTo(homework, student, klass))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Record a student's mark and feedback on a homework, replacing any earlier
+ * one. `score` comes from readScore (see lib/marks). Resolves to `{ mark,
+ * created }`.
+ */
+async function saveMark(homework, studentId, score, feedback, session) {
+  // One mark per student per homework, keyed like their submission
+  const id = submissionId(homework.id, studentId);
+  const now = new Date().toISOString();
+  let existing = null;
+  const mark = await storage.marks.upsert(id, current => {
+    existing = current;
+    return {
+      id,
+      homeworkId: homework.id,
+      studentId,
+      ...score,
+      feedback: feedback || '',
+      markedBy: session.teacherEmail,
+      markedAt: current ? current.markedAt : now,
+      updatedAt: now
+    };
+  });
+  return { mark, created: !existing };
+}
+
+/**
+ * Find the class a homework is set for: by id, or else the class whose code
+ * matches a free-text className ("9 ma 2" finds 9Ma2)
+ */
+async function findClass(classId, className) {
+  if (classId) {
+    return storage.classes.get(classId);
+  }
+  if (className) {
+    const [klass] = await storage.classes.find({ codeKey: classKey(className) });
+    return klass || null;
+  }
+  return null;
+}
+
+/**
+ * Homework fields that come from its class, so the calendar can keep
+ * filtering on className and yearGroup
+ */
+function classLink(klass) {
+  return klass
+    ? { classId: klass.id, className: klass.code, yearGroup: klass.yearGroup }
+    : { classId: null };
+}
+
+/**
+ * A new one-off homework from a request body, checked against the homework
+ * schema the way POST /api/homework checks it. Resolves to `{ homework,
+ * fields }` with the validated request fields, or `{ error, errors }` with the
+ * field errors to send back.
+ */
+async function homeworkFromBody(body, session) {
+  const { value: fields, errors } = validate(NEW_HOMEWORK_SCHEMA, body);
+  if (errors.length) {
+    return { error: errors[0].message, errors };
+  }
+
+  const klass = await findClass(fields.classId, fields.className);
+  if (fields.classId && !klass) {
+    const errors = [{ field: 'classId', code: 'invalid', message: 'Class not found' }];
+    return { error: errors[0].message, errors };
+  }
+
+  const subject = fields.subject || (klass && klass.subject);
+  if (!subject) {
+    const errors = [{ field: 'subject', code: 'required', message: 'Subject is required' }];
+    return { error: errors[0].message, errors };
+  }
+
+  return {
+    fields,
+    homework: {
+      id: uuidv4(),
+      title: fields.title,
+      subject,
+      description: fields.description || '',
+      dueDate: fields.dueDate,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completed: fields.completed || false,
+      priority: fields.priority || 'medium',
+      tags: fields.tags || [],
+      teacherEmail: session.teacherEmail,
+      teacherName: session.teacherName,
+      yearGroup: fields.yearGroup || null,
+      className: fields.className || null,
+      ...classLink(klass),
+      estimatedMinutes: fields.estimatedMinutes || null,
+      linkUrl: fields.linkUrl || null,
+      markScheme: fields.markScheme || null,
+      isRecurring: false,
+      version: 1
+    }
+  };
+}
+
+/**
+ * Create or update students from parsed roster rows. Students are matched on
+ * their external id (UPN), else on name and year group; re-imports keep
+ * existing login codes. Resolves to `{ students, created, updatedCount }`,
+ * where `created` carries the new login codes.
+ */
+async function upsertStudents(rows) {
+  const existing = await storage.students.find();
+  const key = s => s.externalId
+    ? `id:${s.externalId.toLowerCase()}`
+    : `name:${s.name.toLowerCase()}|${s.yearGroup}`;
+  const existingByKey = new Map(existing.map(s => [key(s), s]));
+  
+  const students = [];
+  const created = [];
+  let updatedCount = 0;
+  for (const row of rows) {
+    const { code, ...fields } = row;
+    const match = existingByKey.get(key(row));
+    
+    if (match) {
+      // Re-imports move students between classes but keep their codes;
+      // columns missing from the file leave the stored value alone
+      const updated = await storage.students.modify(match.id, current => ({
+        ...current,
+        ...fields,
+        className: fields.className || current.className || '',
+        externalId: fields.externalId || current.externalId || null,
+        ...(code ? { codeHash: hashLoginCode(code) } : {}),
+        updatedAt: new Date().toISOString()
+      }));
+      students.push(updated);
+      updatedCount++;
+      continue;
+    }
+    
+    const loginCode = code || generateLoginCode();
+    const student = {
+      id: uuidv4(),
+      ...fields,
+      codeHash: hashLoginCode(loginCode),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await storage.students.insert(student);
+    existingByKey.set(key(student), student);
+    students.push(student);
+    created.push({ ...publicStudent(student), loginCode });
+  }
+  
+  return { students, created, updatedCount };
+}
+
+/**
+ * Last day recurring homework is generated up to: RECURRENCE_HORIZON_DAYS from
+ * today, or from the start of a series that hasn't started yet
+ */
+function recurrenceHorizon(startDay) {
+  const today = toDay(new Date());
+  return addDays(startDay && startDay > today ? startDay : today, RECURRENCE_HORIZON_DAYS);
+}
+
+// Homework fields that belong to one occurrence rather than to its series
+const OCCURRENCE_FIELDS = ['id', 'dueDate', 'occurrenceDate', 'seriesId', 'completed', 'createdAt', 'updatedAt', 'version'];
+
+/**
+ * The fields every occurrence of a series is created with
+ */
+function seriesTemplate(homework) {
+  const template = { ...homework };
+  OCCURRENCE_FIELDS.forEach(field => delete template[field]);
+  return template;
+}
+
+/**
+ * A new homework record for one date of a series
+ */
+function occurrenceFrom(series, day) {
+  const now = new Date().toISOString();
+  return {
+    ...series.template,
+    id: uuidv4(),
+    dueDate: `${day}T00:00:00.000Z`,
+    occurrenceDate: day,
+    seriesId: series.id,
+    isRecurring: true,
+    completed: false,
+    createdAt: now,
+    updatedAt: now,
+    version: 1
+  };
+}
+
+/**
+ * How a series' occurrences from `fromDay` on must change to match its rule:
+ * occurrences on dates the rule no longer gives are stale, and dates without
+ * an occurrence get a new one. Moved occurrences keep their original
+ * occurrenceDate, so they still count as present.
+ */
+function planOccurrences(series, members, fromDay, calendar) {
+  const wanted = occurrenceDates(series.rule, series.startDate, series.generatedUntil, series.exceptions,
+    day => isSchoolDay(calendar, day))
+    .filter(day => day >= fromDay);
+  const wantedDays = new Set(wanted);
+  const existingDays = new Set(members.map(hw => hw.occurrenceDate));
+  return {
+    stale: members.filter(hw => hw.occurrenceDate >= fromDay && !wantedDays.has(hw.occurrenceDate)),
+    created: wanted.filter(day => !existingDays.has(day)).map(day => occurrenceFrom(series, day))
+  };
+}
+
+/**
+ * Work out a "this and following" or "whole series" change to a recurring
+ * homework without saving anything. A change from a later occurrence splits
+ * the series there: the old series ends the day before and a new one carries
+ * on with the changes. Resolves to `{ error }` or a plan for applySeriesChange.
+ */
+async function planSeriesChange(homework, changes, recurrence, scope) {
+  const series = await storage.series.get(homework.seriesId);
+  if (!series) {
+    return { error: 'This homework\'s series no longer exists; edit it on its own instead' };
+  }
+  
+  const calendar = await termCalendar();
+  const now = new Date().toISOString();
+  const fromDay = scope === 'following' ? homework.occurrenceDate : series.startDate;
+  let target = { ...series, template: { ...series.template, ...changes }, updatedAt: now };
+  let previous = null;
+  
+  if (fromDay > series.startDate) {
+    const { before, after } = splitRule(series.rule, series.startDate, fromDay, day => isSchoolDay(calendar, day));
+    previous = {
+      ...series,
+      rule: before,
+      exceptions: series.exceptions.filter(day => day < fromDay),
+      updatedAt: now
+    };
+    target = {
+      ...target,
+      id: uuidv4(),
+      rule: after,
+      startDate: fromDay,
+      exceptions: series.exceptions.filter(day => day >= fromDay),
+      createdAt: now
+    };
+  }
+  
+  if (recurrence !== undefined) {
+    const { rule, error } = normalizeRule(recurrence, target.startDate);
+    if (error) return { error };
+    target.rule = rule;
+    target.generatedUntil = recurrenceHorizon(target.startDate);
+  }
+  
+  const members = (await storage.homework.find({ seriesId: series.id }))
+    .filter(hw => hw.occurrenceDate >= fromDay)
+    .map(hw => ({ ...hw, ...changes, seriesId: target.id, updatedAt: now }));
+  
+  let stale = [];
+  let created = [];
+  if (recurrence !== undefined) {
+    // Occurrences already due keep their dates; from today on they follow the new rule
+    const today = toDay(new Date());
+    ({ stale, created } = planOccurrences(target, members, fromDay > today ? fromDay : today, calendar));
+  }
+  const staleIds = new Set(stale.map(hw => hw.id));
+  
+  return {
+    series: target,
+    previous,
+    changes,
+    updated: members.filter(hw => !staleIds.has(hw.id)),
+    stale: Array.from(staleIds),
+    created
+  };
+}
+
+/**
+ * Save a plan from planSeriesChange. The changes are made to each occurrence
+ * as it is when saved, so edits made since the plan aren't lost. With
+ * `ifMatch` (parsed If-Match tags), the occurrence `editedId` is saved first
+ * and a VersionConflictError is thrown, with nothing saved, if it has changed.
+ */
+async function applySeriesChange(plan, actor, { editedId = null, ifMatch = null } = {}) {
+  const apply = current => ({
+    ...current,
+    ...plan.changes,
+    seriesId: plan.series.id,
+    updatedAt: new Date().toISOString()
+  });
+  const edited = plan.updated.find(hw => hw.id === editedId);
+  if (edited) {
+    await modifyHomework(edited.id, apply, actor, 'update', { ifMatch });
+  }
+  
+  if (plan.previous) {
+    await storage.series.update(plan.previous.id, plan.previous);
+    await storage.series.insert(plan.series);
+  } else {
+    await storage.series.update(plan.series.id, plan.series);
+  }
+  for (const hw of plan.updated.filter(member => member !== edited)) {
+    await modifyHomework(hw.id, apply, actor);
+  }
+  if (plan.stale.length) {
+    await removeHomeworks(plan.stale, { recordExceptions: false, actor });
+  }
+  if (plan.created.length) {
+    await storage.homework.insertMany(plan.created);
+    await recordCreated(plan.created, actor);
+  }
+}
+
+/**
+ * Generate the occurrences that have come within the horizon since each
+ * series was last extended. Runs at startup and then twice a day.
+ */
+async function extendSeries() {
+  const calendar = await termCalendar();
+  for (const series of await storage.series.find()) {
+    const horizon = recurrenceHorizon(series.startDate);
+    if (series.generatedUntil >= horizon) continue;
+    
+    const days = occurrenceDates(series.rule, series.startDate, horizon, series.exceptions,
+      day => isSchoolDay(calendar, day))
+      .filter(day => day > series.generatedUntil);
+    if (days.length) {
+      const created = days.map(day => occurrenceFrom(series, day));
+      await storage.homework.insertMany(created);
+      await recordCreated(created, SYSTEM_ACTOR);
+    }
+    await storage.series.modify(series.id, current => ({ ...current, generatedUntil: horizon }));
+  }
+}
+
+/**
+ * Put an email (`{ subject, html, text }` from lib/emails) in the outbox.
+ * Nothing is sent until the outbox is next delivered, so call kickOutbox()
+ * once everything for a request is queued.
+ */
+async function queueEmail(to, email, { kind, headers, attachments, createdBy, digestRunId } = {}) {
+  return storage.outbox.insert(outboxMessage({
+    id: uuidv4(),
+    kind,
+    from: EMAIL_FROM,
+    to,
+    ...email,
+    headers,
+    attachments,
+    createdBy,
+    digestRunId
+  }));
+}
+
+/**
+ * Try every queued message that's due. A message that fails is put back with
+ * a later nextAttemptAt, or failed for good (see lib/outbox).
+ */
+async function deliverOutbox() {
+  const due = await storage.outbox.find({
+    status: 'queued',
+    nextAttemptAt: { $lte: new Date().toISOString() }
+  }, { sort: 'nextAttemptAt' });
+  
+  for (const message of due) {
+    await storage.outbox.update(message.id, { ...message, status: 'sending' });
+    let result;
+    try {
+      const info = await mailTransport.send(message);
+      result = afterSent(message, info);
+      if (info.previewFile) {
+        console.log(`Email preview: ${PUBLIC_URL}/api/outbox/${message.id}/preview (${info.previewFile})`);
+      }
+    } catch (err) {
+      result = afterFailure(message, err);
+      console.error(`Error sending email ${message.id} to ${message.to}:`, err.message);
+    }
+    await storage.outbox.update(message.id, result);
+    if (result.digestRunId && result.status !== 'queued') {
+      await recordDigestDelivery(result);
+    }
+  }
+}
+
+// Deliveries never overlap, so a message can't be sent twice; a kick while
+// one is running makes it go round again to pick up what was just queued
+let outboxRunning = false;
+let outboxKicked = false;
+
+function kickOutbox() {
+  if (outboxRunning) {
+    outboxKicked = true;
+    return;
+  }
+  outboxRunning = true;
+  outboxKicked = false;
+  deliverOutbox()
+    .catch(err => console.error('Error delivering email outbox:', err))
+    .finally(() => {
+      outboxRunning = false;
+      if (outboxKicked) kickOutbox();
+    });
+}
+
+/**
+ * Remove sent and failed messages older than OUTBOX_RETENTION_DAYS
+ */
+async function pruneOutbox() {
+  const cutoff = new Date(Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const removed = await storage.outbox.removeWhere({
+    status: { $in: ['sent', 'failed'] },
+    createdAt: { $lte: cutoff }
+  });
+  if (removed) {
+    console.log(`Removed ${removed} old emails from the outbox`);
+  }
+}
+
+/**
+ * Digest jobs, or the defaults until an admin changes them
+ */
+async function digestSettings() {
+  return (await storage.settings.get(DIGEST_SETTINGS_ID)) ||
+    { id: DIGEST_SETTINGS_ID, jobs: DEFAULT_DIGEST_JOBS };
+}
+
+// Signing keys read from or being created in settings, by settings id
+const storedKeys = new Map();
+
+/**
+ * A signing key kept in settings under `id`, made with `generate` the first
+ * time it's needed. Requests that arrive before it exists share one lookup,
+ * so only one key is ever stored and links signed with it keep working.
+ */
+function storedKey(id, generate) {
+  if (!storedKeys.has(id)) {
+    const loading = (async () => {
+      const stored = await storage.settings.get(id);
+      if (stored) return stored.key;
+      const record = { id, key: generate() };
+      await storage.settings.insert(record);
+      return record.key;
+    })();
+    // Try again next time if it couldn't be read or saved
+    loading.catch(() => storedKeys.delete(id));
+    storedKeys.set(id, loading);
+  }
+  return storedKeys.get(id);
+}
+
+/**
+ * Key unsubscribe links are signed with: SUBSCRIPTION_SECRET, or a random key
+ * created on first use and kept in settings so old links keep working
+ */
+async function subscriptionKey() {
+  if (process.env.SUBSCRIPTION_SECRET) return process.env.SUBSCRIPTION_SECRET;
+  return storedKey('subscriptionKey', generateSigningKey);
+}
+
+/**
+ * Key signed download links are signed with: DOWNLOAD_SECRET, or a random key
+ * created on first use and kept in settings so links in sent emails keep working
+ */
+async function downloadKey() {
+  if (process.env.DOWNLOAD_SECRET) return process.env.DOWNLOAD_SECRET;
+  return storedKey('downloadKey', generateDownloadKey);
+}
+
+function unsubscribeUrl(email, key) {
+  return `${PUBLIC_URL}/api/subscriptions/unsubscribe?token=${encodeURIComponent(signUnsubscribe(email, key))}`;
+}
+
+/**
+ * What a subscriber sees a group called: "Year 9" or "Class 9Ma1"
+ */
+function groupLabel(group, classCodes) {
+  return group.classId ? `Class ${classCodes.get(group.classId) || '(removed)'}` : `Year ${group.yearGroup}`;
+}
+
+/**
+ * Send one digest job's emails and log the run: when it ran, the window it
+ * covered and which homework went to whom. `scheduledFor` is the slot being
+ * run (the current time for a manual run).
+ */
+async function runDigestJob(job, scheduledFor, { manual = false } = {}) {
+  const window = digestWindow(job, scheduledFor);
+  const run = await storage.digestRuns.insert({
+    id: uuidv4(),
+    jobId: job.id,
+    scheduledFor: scheduledFor.toISOString(),
+    manual,
+    window,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    sent: 0,
+    failed: 0,
+    recipients: []
+  });
+  
+  const recipients = [];
+  let error = null;
+  try {
+    const [subscriptions, due, classes] = await Promise.all([
+      storage.subscriptions.find({ status: 'confirmed' }),
+      storage.homework.find({
+        dueDate: { $gte: `${window.from}T00:00:00.000Z`, $lte: `${window.to}T23:59:59.999Z` }
+      }, { sort: 'dueDate' }),
+      storage.classes.find()
+    ]);
+    const homeworks = await withDownloadLinks(due);
+    const classCodes = new Map(classes.map(klass => [klass.id, klass.code]));
+    const byEmail = subscriptions.reduce((map, sub) => map.set(sub.email, (map.get(sub.email) || []).concat(sub)), new Map());
+    const key = await subscriptionKey();
+    const calendar = job.attachPdf ? await termCalendar() : null;
+    // Subscribers to the same groups get the same planner, so each is made once
+    const planners = new Map();
+    const plannerFor = (sections) => {
+      const filterLabel = sections.map(section => section.label).join(' · ');
+      if (!planners.has(filterLabel)) {
+        const homeworks = Array.from(new Map(sections.flatMap(section => section.homeworks)
+          .map(hw => [hw.id, normalizeHomework(hw)])).values())
+          .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+        const pdf = plannerPdf({ from: window.from, to: window.to, filterLabel, homeworks, calendar, classCodes, logo: plannerLogo() });
+        planners.set(filterLabel, {
+          filename: `homework-planner-${window.from}.pdf`,
+          contentType: 'application/pdf',
+          content: pdf.toString('base64')
+        });
+      }
+      return planners.get(filterLabel);
+    };
+    
+    for (const [email, subs] of byEmail) {
+      const sections = subs
+        .map(sub => ({
+          label: groupLabel(sub, classCodes),
+          homeworks: homeworks.filter(hw => (sub.classId
+            ? hw.classId === sub.classId
+            : normalizeYearGroup(hw.yearGroup) === sub.yearGroup))
+        }))
+        .filter(section => section.homeworks.length);
+      if (!sections.length) continue;
+      
+      const unsubscribe = unsubscribeUrl(email, key);
+      const homeworkIds = Array.from(new Set(sections.flatMap(section => section.homeworks.map(hw => hw.id))));
+      const message = await queueEmail(email, digestEmail({ job, window, sections, unsubscribeUrl: unsubscribe }), {
+        kind: 'digest',
+        digestRunId: run.id,
+        attachments: job.attachPdf ? [plannerFor(sections)] : [],
+        // Lets mail apps offer their own one-click unsubscribe (RFC 8058)
+        headers: {
+          'List-Unsubscribe': `<${unsubscribe}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      recipients.push({ email, homeworkIds, outboxId: message.id, status: 'queued' });
+    }
+  } catch (err) {
+    error = err.message;
+  }
+  
+  const finished = await storage.digestRuns.update(run.id, withDeliveryCounts({
+    ...run,
+    error,
+    finishedAt: new Date().toISOString(),
+    recipients
+  }));
+  kickOutbox();
+  return finished;
+}
+
+/**
+ * A digest run with its sent and failed counts and status worked out from
+ * its recipients. A run is `sending` until every email has been delivered or
+ * has failed for good.
+ */
+function withDeliveryCounts(run) {
+  const sent = run.recipients.filter(r => r.status === 'sent').length;
+  const failed = run.recipients.filter(r => r.status === 'failed').length;
+  const queued = run.recipients.length - sent - failed;
+  let status = 'success';
+  if (run.error || (failed && !sent && !queued)) status = 'failed';
+  else if (queued) status = 'sending';
+  else if (failed) status = 'partial';
+  return { ...run, status, sent, failed, queued };
+}
+
+/**
+ * Note in a digest run's log that one of its emails was delivered or gave up
+ */
+async function recordDigestDelivery(message) {
+  await storage.digestRuns.modify(message.digestRunId, run => withDeliveryCounts({
+    ...run,
+    recipients: run.recipients.map(recipient => (recipient.outboxId === message.id
+      ? { ...recipient, status: message.status, error: message.status === 'failed' ? message.lastError : undefined }
+      : recipient))
+  }));
+}
+
+/**
+ * Run each digest job whose latest slot hasn't run yet. Checked every minute.
+ */
+async function runDueDigests(now = new Date()) {
+  const { jobs } = await digestSettings();
+  for (const job of jobs) {
+    const slot = lastScheduledTime(job, now);
+    if (!isDue(job, slot, now)) continue;
+    const done = await storage.digestRuns.count({ jobId: job.id, scheduledFor: slot.toISOString() });
+    if (!done) {
+      await runDigestJob(job, slot);
+    }
+  }
+}
+
+// Create necessary directories if they don't exist
+[UPLOADS_DIR].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// ---- Middleware ----
+
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Rate limiting middleware
+const rateLimit = require('express-rate-limit');
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100 // limit each IP to 100 requests per windowMs
+});
+
+// Apply rate limiting to all API routes
+app.use('/api/', limiter);
+
+// Refuse to serve once a data file has been found corrupt, rather than
+// answering from (and later overwriting it with) partial data
+app.use('/api/', (req, res, next) => {
+  if (storage && storage.failure) {
+    return res.status(503).json({
+      success: false,
+      error: storage.failure.message,
+      code: storage.failure.code
+    });
+  }
+  next();
+});
+
+// Simple CORS - allow all origins for development, works on Vercel too
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// Session configuration
+const sessionConfig = {
+  secret: process.env.SESSION_SECRET || 'your-secret-key', // Change this to a secure secret in production
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  }
+};
+
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1); // Trust first proxy
+  sessionConfig.cookie.secure = true; // Serve secure cookies
+}
+
+app.use(session(sessionConfig));
+app.use(
+  session({
+    secret: process.env.SESSION_SECRET || 'amsi-homework-secret-key-change-in-production',
+    resave: true, // Changed to true for better compatibility
+    saveUninitialized: false,
+    name: 'homework.sid', // Custom session name
+    cookie: {
+      maxAge: 1000 * 60 * 60 * 24, // 24 hours
+      httpOnly: true,
+      secure: false, // false for HTTP, true for HTTPS (Vercel handles this)
+      sameSite: 'lax',
+      path: '/',
+    },
+  })
+);
+
+// Static assets
+// For local development: /images/** served from ./images
+app.use('/images', express.static(path.join(__dirname, 'images')));
+// Frontend HTML/CSS/JS in ./public
+app.use(express.static(path.join(__dirname, 'public')));
+
+// ---- API routes ----
+
+// Teacher login - completely rebuilt
+app.post('/api/login', async (req, res) => {
+  console.log('Login attempt received');
+  try {
+    const { email, password } = req.body || {};
+    
+    console.log('Email received:', email ? 'yes' : 'no', 'Password received:', password ? 'yes' : 'no');
+    
+    if (!email || !password) {
+      console.log('Missing email or password');
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+
+    const record = await teachers.authenticate(email, password);
+    
+    if (!record) {
+      console.log('Invalid email or password');
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // Set session data
+    delete req.session.studentId;
+    setSessionTeacher(req.session, record);
+    req.session.save((err) => {
+      if (err) {
+        console.error('Session save error:', err);
+        return res.status(500).json({ error: 'Failed to create session' });
+      }
+      
+      console.log('Login successful for:', record.email);
+      console.log('Session ID:', req.sessionID);
+      
+      res.json({ 
+        success: true,
+        teacherEmail: record.email, 
+        teacherName: req.session.teacherName,
+        email: record.email,
+        role: record.role,
+        isAdmin: req.session.isAdmin
+      });
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Server error during login: ' + err.message });
+  }
+});
+
+// Logout
+app.post('/api/logout', (req, res) => {
+  console.log('Logout requested');
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Logout error:', err);
+      return res.status(500).json({ error: 'Failed to logout' });
+    }
+    console.log('Logout successful');
+    res.json({ ok: true, message: 'Logged out successfully' });
+  });
+});
+
+// ---- Middleware Functions ----
+
+/**
+ * Copy a teacher's account details into their session
+ */
+function setSessionTeacher(session, teacher) {
+  session.teacherEmail = teacher.email;
+  session.teacherName = teacher.name || teacher.email;
+  session.role = teacher.role;
+  session.department = teacher.department;
+  session.isAdmin = teacher.role === 'admin';
+}
+
+/**
+ * Middleware to check if user is authenticated as a teacher
+ */
+function requireTeacher(req, res, next) {
+  if (!req.session || !req.session.teacherEmail) {
+    return res.status(401).json({ 
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+  
+  // Re-read the account so role changes and deactivation apply straight away
+  const teacher = teachers.get(req.session.teacherEmail);
+  if (!teacher || !teacher.active) {
+    return req.session.destroy(() => {
+      res.status(401).json({
+        success: false,
+        error: 'Your account is no longer active',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    });
+  }
+  
+  setSessionTeacher(req.session, teacher);
+  next();
+}
+
+/**
+ * The signed-in teacher's account while it's active, else null. For routes
+ * that students and signed links can use too, so can't use requireTeacher.
+ */
+function sessionTeacher(req) {
+  const teacher = req.session && req.session.teacherEmail && teachers.get(req.session.teacherEmail);
+  if (!teacher || !teacher.active) return null;
+  setSessionTeacher(req.session, teacher);
+  return teacher;
+}
+
+/**
+ * Middleware factory to restrict a route to some roles (use after requireTeacher)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.session.role)) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to do this',
+      code: 'PERMISSION_DENIED'
+    });
+  };
+}
+
+/**
+ * Middleware to check if user is signed in with a student login code
+ */
+async function requireStudent(req, res, next) {
+  try {
+    const student = req.session && req.session.studentId &&
+      await storage.students.get(req.session.studentId);
+    
+    if (!student) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    req.student = student;
+    next();
+  } catch (error) {
+    console.error('Student auth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during authentication',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
+
+/**
+ * Whether the signed-in teacher may modify a homework: admins can modify any,
+ * heads of department any in their subjects, everyone else only their own
+ */
+function canManageHomework(session, homework) {
+  if (session.role === 'admin') return true;
+  if ((homework.teacherEmail || '').toLowerCase() === session.teacherEmail.toLowerCase()) return true;
+  if (session.role === 'hod') {
+    return departmentSubjects(session).includes((homework.subject || '').toLowerCase());
+  }
+  return false;
+}
+
+/**
+ * Same rules as canManageHomework, applied to a template's creator and subject
+ */
+function canManageTemplate(session, template) {
+  return canManageHomework(session, {
+    teacherEmail: template.createdBy,
+    subject: template.subject
+  });
+}
+
+/**
+ * Whether the signed-in teacher may change a class: admins any class, heads
+ * of department classes in their subjects
+ */
+function canManageClass(session, klass) {
+  if (session.role === 'admin') return true;
+  return session.role === 'hod' &&
+    departmentSubjects(session).includes((klass.subject || '').toLowerCase());
+}
+
+/**
+ * Teachers listed on a class may also keep its roster up to date
+ */
+function canEditRoster(session, klass) {
+  return canManageClass(session, klass) ||
+    (klass.teachers || []).includes(session.teacherEmail.toLowerCase());
+}
+
+/**
+ * Middleware to check if user has permission to modify a homework
+ */
+async function checkHomeworkPermission(req, res, next) {
+  try {
+    const homeworkId = req.params.id || req.params.homeworkId;
+    const found = await storage.homework.get(homeworkId);
+    const homework = found && normalizeHomework(found);
+    
+    if (!homework) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (canManageHomework(req.session, homework)) {
+      req.homework = homework;
+      return next();
+    }
+    
+    res.status(403).json({ 
+      success: false, 
+      error: 'You do not have permission to modify this homework',
+      code: 'PERMISSION_DENIED'
+    });
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Internal server error during permission check',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
+
+/**
+ * Refuse a write with 412 when its If-Match header doesn't match the homework
+ * loaded by checkHomeworkPermission. The current copy is sent back so the
+ * client can merge. Writes without If-Match go ahead.
+ */
+async function checkIfMatch(req, res, next) {
+  if (matchesIfMatch(parseIfMatch(req.get('If-Match')), req.homework)) {
+    return next();
+  }
+  try {
+    const [data] = await withRelations([req.homework]);
+    res.set('ETag', etagFor(data));
+    res.status(412).json({
+      success: false,
+      error: 'This homework was changed by someone else since you loaded it',
+      code: 'PRECONDITION_FAILED',
+      data
+    });
+  } catch (error) {
+    console.error('If-Match check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during version check',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
+
+/**
+ * Send the 409 for a write that lost a race: the homework changed between
+ * the If-Match check and the save. `current` is the stored copy.
+ */
+async function sendEditConflict(res, current) {
+  const [data] = await withRelations([normalizeHomework(current)]);
+  res.set('ETag', etagFor(data));
+  return res.status(409).json({
+    success: false,
+    error: 'This homework was changed by someone else while you were saving',
+    code: 'EDIT_CONFLICT',
+    data
+  });
+}
+
+/**
+ * Error handling middleware
+ */
+function errorHandler(err, req, res, next) {
+  console.error('Error:', err);
+  
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      error: 'File too large. Maximum size is 5MB.',
+      code: 'FILE_TOO_LARGE'
+    });
+  }
+  
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      success: false,
+      error: 'Too many files, or a file sent in an unexpected field',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+  
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      error: 'File upload error: ' + err.message,
+      code: 'UPLOAD_ERROR'
+    });
+  }
+  
+  if (err.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+      code: 'INVALID_FILE_TYPE'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
+    details: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+}
+
+// Apply error handling middleware
+app.use(errorHandler);
+
+/**
+ * upload.array() for one route, with upload errors (too large, wrong type,
+ * too many files) answered by errorHandler rather than Express's error page
+ */
+function uploadFiles(field, maxCount) {
+  const receive = upload.array(field, maxCount);
+  return (req, res, next) => receive(req, res, err => (err ? errorHandler(err, req, res, next) : next()));
+}
+
+/**
+ * A homework as a student sees it, or null when it isn't set for them
+ */
+async function homeworkForStudent(id, student) {
+  const found = await storage.homework.get(id);
+  const homework = found && normalizeHomework(found);
+  const klass = homework && homework.classId && await storage.classes.get(homework.classId);
+  return homework && isAssignedTo(homework, student, klass) ? homework : null;
+}
+
+// ====================
+// Authentication Routes
+// ====================
+
+/**
+ * @route GET /api/check-auth
+ * @description Check if user is authenticated
+ */
+app.get('/api/check-auth', (req, res) => {
+  const teacher = req.session && req.session.teacherEmail && teachers.get(req.session.teacherEmail);
+  if (teacher && teacher.active) {
+    setSessionTeacher(req.session, teacher);
+    res.json({ 
+      success: true,
+      authenticated: true,
+      teacherEmail: req.session.teacherEmail,
+      teacherName: req.session.teacherName,
+      role: req.session.role,
+      department: req.session.department,
+      isAdmin: req.session.isAdmin
+    });
+  } else {
+    res.json({ 
+      success: true, 
+      authenticated: false 
+    });
+  }
+});
+
+/**
+ * @route POST /api/logout
+ * @description Teacher logout
+ */
+app.post('/api/logout', (req, res) => {
+  req.session.destroy(err => {
+    if (err) {
+      console.error('Error destroying session:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'Error logging out',
+        code: 'LOGOUT_ERROR'
+      });
+    }
+    res.clearCookie('homework.sid');
+    res.json({ success: true });
+  });
+});
+
+// ==================
+// Account Routes
+// ==================
+
+/**
+ * @route GET /api/account
+ * @description Get the signed-in teacher's account details
+ */
+app.get('/api/account', requireTeacher, (req, res) => {
+  const teacher = teachers.get(req.session.teacherEmail);
+  
+  if (!teacher) {
+    return res.status(404).json({
+      success: false,
+      error: 'Account not found',
+      code: 'NOT_FOUND'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      email: teacher.email,
+      name: teacher.name
+    }
+  });
+});
+
+/**
+ * @route PUT /api/account/password
+ * @description Change the signed-in teacher's password
+ */
+app.put('/api/account/password', requireTeacher, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current and new password are required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const hashed = await hashPassword(newPassword);
+    let wrongPassword = false;
+    const updated = await teachers.update(req.session.teacherEmail, async (teacher) => {
+      if (!(await verifyPassword(currentPassword, teacher.password))) {
+        wrongPassword = true;
+        return teacher;
+      }
+      return { ...teacher, password: hashed };
+    });
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (wrongPassword) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/account/profile
+ * @description Change the signed-in teacher's display name
+ */
+app.put('/api/account/profile', requireTeacher, async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    const nameError = validateDisplayName(name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        error: nameError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const updated = await teachers.update(req.session.teacherEmail, (teacher) => ({
+      ...teacher,
+      name: name.trim()
+    }));
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    req.session.teacherName = updated.name;
+    
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        email: updated.email,
+        name: updated.name
+      }
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/account/calendar
+ * @description Whether the signed-in teacher has a private calendar feed
+ */
+app.get('/api/account/calendar', requireTeacher, async (req, res) => {
+  try {
+    const [feed] = await storage.calendarFeeds.find({ teacherEmail: req.session.teacherEmail });
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(feed),
+        createdAt: feed ? feed.createdAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Error getting calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar feed',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/account/calendar
+ * @description Create the signed-in teacher's private calendar feed, replacing any
+ * earlier one. The feed URL is only returned here.
+ */
+app.post('/api/account/calendar', requireTeacher, async (req, res) => {
+  try {
+    const token = generateFeedToken();
+    await storage.calendarFeeds.removeWhere({ teacherEmail: req.session.teacherEmail });
+    await storage.calendarFeeds.insert({
+      id: uuidv4(),
+      tokenHash: hashFeedToken(token),
+      teacherEmail: req.session.teacherEmail,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any earlier feed URL no longer works.',
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/calendar/teacher/${token}.ics`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar feed',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/account/calendar
+ * @description Turn off the signed-in teacher's private calendar feed
+ */
+app.delete('/api/account/calendar', requireTeacher, async (req, res) => {
+  try {
+    await storage.calendarFeeds.removeWhere({ teacherEmail: req.session.teacherEmail });
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to turn off calendar feed',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Admin Routes
+// ==================
+
+/**
+ * @route GET /api/admin/teachers
+ * @description List all teacher accounts
+ */
+app.get('/api/admin/teachers', requireTeacher, requireRole('admin'), (req, res) => {
+  res.json({
+    success: true,
+    data: teachers.list().map(publicTeacher)
+  });
+});
+
+/**
+ * @route POST /api/admin/teachers
+ * @description Create a teacher account. Returns a temporary password when none is given.
+ */
+app.post('/api/admin/teachers', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, name, role = 'teacher', department = '', password } = req.body;
+    
+    if (typeof email !== 'string' || !/^[^\s:@]+@[^\s:@]+\.[^\s:@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const fieldError = validateDisplayName(name) || validateRole(role, department) ||
+      (password !== undefined ? validateNewPassword(password) : null);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const initialPassword = password || generateTemporaryPassword();
+    const created = await teachers.create({
+      email: email.trim(),
+      password: await hashPassword(initialPassword),
+      name: name.trim(),
+      role,
+      department: String(department).trim()
+    });
+    
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: 'A teacher with that email already exists',
+        code: 'DUPLICATE'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Teacher created successfully',
+      data: publicTeacher(created),
+      temporaryPassword: password ? undefined : initialPassword
+    });
+  } catch (error) {
+    console.error('Error creating teacher:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create teacher',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/admin/teachers/:email
+ * @description Change a teacher's name, role or department
+ */
+app.put('/api/admin/teachers/:email', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const existing = teachers.get(req.params.email);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const {
+      name = existing.name,
+      role = existing.role,
+      department = existing.department
+    } = req.body;
+    
+    const fieldError = validateDisplayName(name) || validateRole(role, department);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if (existing.email.toLowerCase() === req.session.teacherEmail.toLowerCase() && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const updated = await teachers.update(existing.email, (teacher) => ({
+      ...teacher,
+      name: name.trim(),
+      role,
+      department: String(department).trim()
+    }));
+    
+    res.json({
+      success: true,
+      message: 'Teacher updated successfully',
+      data: publicTeacher(updated)
+    });
+  } catch (error) {
+    console.error('Error updating teacher:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update teacher',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * Shared handler for activating and deactivating accounts
+ */
+function setTeacherActive(active) {
+  return async (req, res) => {
+    try {
+      if (!active && req.params.email.toLowerCase() === req.session.teacherEmail.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot deactivate your own account',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const updated = await teachers.update(req.params.email, (teacher) => ({ ...teacher, active }));
+      
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Teacher not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Teacher ${active ? 'activated' : 'deactivated'} successfully`,
+        data: publicTeacher(updated)
+      });
+    } catch (error) {
+      console.error('Error changing teacher status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update teacher',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  };
+}
+
+/**
+ * @route POST /api/admin/teachers/:email/deactivate
+ * @description Stop a teacher signing in. Signs them out of any open session.
+ */
+app.post('/api/admin/teachers/:email/deactivate', requireTeacher, requireRole('admin'), setTeacherActive(false));
+
+/**
+ * @route POST /api/admin/teachers/:email/activate
+ * @description Let a deactivated teacher sign in again
+ */
+app.post('/api/admin/teachers/:email/activate', requireTeacher, requireRole('admin'), setTeacherActive(true));
+
+/**
+ * @route POST /api/admin/teachers/:email/reset-password
+ * @description Replace a teacher's password with a temporary one
+ */
+app.post('/api/admin/teachers/:email/reset-password', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const temporaryPassword = generateTemporaryPassword();
+    const hashed = await hashPassword(temporaryPassword);
+    const updated = await teachers.update(req.params.email, (teacher) => ({ ...teacher, password: hashed }));
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      temporaryPassword
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/teachers/:email/reassign
+ * @description Hand all of a teacher's homework to a colleague
+ */
+app.post('/api/admin/teachers/:email/reassign', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const from = teachers.get(req.params.email);
+    const to = req.body.toEmail && teachers.get(req.body.toEmail);
+    
+    if (!from) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (!to || !to.active) {
+      return res.status(400).json({
+        success: false,
+        error: 'toEmail must be an active teacher',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const homeworks = await storage.homework.find({ teacherEmail: from.email });
+    for (const hw of homeworks) {
+      await modifyHomework(hw.id, current => ({
+        ...current,
+        teacherEmail: to.email,
+        teacherName: to.name || to.email,
+        updatedAt: new Date().toISOString()
+      }), actorFrom(req));
+    }
+    
+    // Occurrences generated later go to the new teacher too
+    const series = await storage.series.find({ teacherEmail: from.email });
+    for (const record of series) {
+      await storage.series.modify(record.id, current => ({
+        ...current,
+        teacherEmail: to.email,
+        template: { ...current.template, teacherEmail: to.email, teacherName: to.name || to.email },
+        updatedAt: new Date().toISOString()
+      }));
+    }
+    
+    res.json({
+      success: true,
+      message: `Reassigned ${homeworks.length} homeworks to ${to.email}`,
+      count: homeworks.length
+    });
+  } catch (error) {
+    console.error('Error reassigning homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reassign homework',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/students
+ * @description List students, optionally filtered by yearGroup
+ */
+app.get('/api/admin/students', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const where = req.query.yearGroup ? { yearGroup: req.query.yearGroup } : {};
+    const students = await storage.students.find(where, { sort: 'yearGroup' });
+    res.json({
+      success: true,
+      data: students.map(publicStudent)
+    });
+  } catch (error) {
+    console.error('Error getting students:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch students',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/students/import
+ * @description Import a roster CSV ({ csv }) with name, year group, class and optional
+ * UPN/code columns. New students get login codes, which are only returned here.
+ */
+app.post('/api/admin/students/import', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const { csv } = req.body;
+    
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Roster CSV is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const { rows, errors } = parseRoster(csv);
+    const { created, updatedCount } = await upsertStudents(rows);
+    
+    res.json({
+      success: true,
+      message: `Imported ${created.length} new students, updated ${updatedCount}`,
+      created,
+      updatedCount,
+      errors
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import roster',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/students/:id/reset-code
+ * @description Issue a student a new login code
+ */
+app.post('/api/admin/students/:id/reset-code', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const loginCode = generateLoginCode();
+    const updated = await storage.students.modify(req.params.id, current => ({
+      ...current,
+      codeHash: hashLoginCode(loginCode),
+      updatedAt: new Date().toISOString()
+    }));
+    
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: publicStudent(updated),
+      loginCode
+    });
+  } catch (error) {
+    console.error('Error resetting login code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset login code',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/students/:id
+ * @description Remove a student, their completions, submissions and marks, and their place on class rosters
+ */
+app.delete('/api/admin/students/:id', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await storage.students.remove(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    await storage.completions.removeWhere({ studentId: req.params.id });
+    const submissions = await storage.submissions.find({ studentId: req.params.id });
+    await storage.submissions.removeWhere({ studentId: req.params.id });
+    await releaseFiles([].concat(...submissions.map(s => s.files)));
+    await storage.marks.removeWhere({ studentId: req.params.id });
+    const rosters = (await storage.classes.find())
+      .filter(klass => (klass.studentIds || []).includes(req.params.id));
+    for (const klass of rosters) {
+      await storage.classes.modify(klass.id, current => ({
+        ...current,
+        studentIds: current.studentIds.filter(id => id !== req.params.id)
+      }));
+    }
+    
+    res.json({
+      success: true,
+      message: 'Student deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting student:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete student',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Class Routes
+// ==================
+
+/**
+ * @route GET /api/classes
+ * @description List classes, optionally filtered by yearGroup or subject (used by the calendar filters)
+ */
+app.get('/api/classes', async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.yearGroup) where.yearGroup = req.query.yearGroup;
+    if (req.query.subject) where.subject = req.query.subject;
+    
+    const classes = await storage.classes.find(where, { sort: 'codeKey' });
+    res.json({
+      success: true,
+      data: classes.map(publicClass)
+    });
+  } catch (error) {
+    console.error('Error getting classes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch classes',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/classes/:id
+ * @description Get a class with its student roster
+ */
+app.get('/api/classes/:id', requireTeacher, async (req, res) => {
+  try {
+    const klass = await storage.classes.get(req.params.id);
+    
+    if (!klass) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const students = klass.studentIds && klass.studentIds.length
+      ? await storage.students.find({ id: { $in: klass.studentIds } })
+      : [];
+    
+    res.json({
+      success: true,
+      data: {
+        ...publicClass(klass),
+        students: students.map(publicStudent).sort((a, b) => a.name.localeCompare(b.name))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting class:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/classes
+ * @description Create a class ({ code, yearGroup, subject, teachers })
+ */
+app.post('/api/classes', requireTeacher, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const klass = {
+      id: uuidv4(),
+      teachers: [],
+      ...classFields(req.body),
+      studentIds: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    const fieldError = validateClass(klass);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if (!canManageClass(req.session, klass)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only create classes for your department\'s subjects',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    if (await storage.classes.count({ codeKey: klass.codeKey })) {
+      return res.status(409).json({
+        success: false,
+        error: `A class with code ${klass.code} already exists`,
+        code: 'DUPLICATE'
+      });
+    }
+    
+    await storage.classes.insert(klass);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Class created successfully',
+      data: publicClass(klass)
+    });
+  } catch (error) {
+    console.error('Error creating class:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create class',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/classes/:id
+ * @description Change a class's code, year group, subject or teachers. Homework set
+ * for the class picks up a new code or year group.
+ */
+app.put('/api/classes/:id', requireTeacher, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const existing = await storage.classes.get(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const changes = classFields(req.body);
+    const merged = { ...existing, ...changes };
+    
+    const fieldError = validateClass(merged);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    // Heads of department need to own the subject before and after the change
+    if (!canManageClass(req.session, existing) || !canManageClass(req.session, merged)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to modify this class',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    if (merged.codeKey !== existing.codeKey) {
+      const [clash] = await storage.classes.find({ codeKey: merged.codeKey });
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          error: `A class with code ${merged.code} already exists`,
+          code: 'DUPLICATE'
+        });
+      }
+    }
+    
+    const updated = await storage.classes.modify(req.params.id, current => ({
+      ...current,
+      ...changes,
+      updatedAt: new Date().toISOString()
+    }));
+    
+    if (updated.code !== existing.code || updated.yearGroup !== existing.yearGroup) {
+      const linked = await storage.homework.find({ classId: updated.id });
+      for (const hw of linked) {
+        await modifyHomework(hw.id, current => ({ ...current, ...classLink(updated) }), actorFrom(req));
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'Class updated successfully',
+      data: publicClass(updated)
+    });
+  } catch (error) {
+    console.error('Error updating class:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update class',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/classes/:id
+ * @description Delete a class. Its homework keeps the class code and year group
+ * as plain text.
+ */
+app.delete('/api/classes/:id', requireTeacher, requireRole('admin', 'hod'), async (req, res) => {
+  try {
+    const klass = await storage.classes.get(req.params.id);
+    
+    if (!klass) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (!canManageClass(req.session, klass)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this class',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    const linked = await storage.homework.find({ classId: klass.id });
+    for (const hw of linked) {
+      await modifyHomework(hw.id, current => ({ ...current, classId: null }), actorFrom(req));
+    }
+    await storage.classes.remove(klass.id);
+    
+    res.json({
+      success: true,
+      message: 'Class deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting class:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete class',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/classes/:id/roster
+ * @description Replace a class's roster from a CSV ({ csv }) with name and optional
+ * UPN/code columns; the year group defaults to the class's. Students not seen
+ * before are created, and their login codes are only returned here.
+ */
+app.post('/api/classes/:id/roster', requireTeacher, async (req, res) => {
+  try {
+    const { csv } = req.body;
+    const klass = await storage.classes.get(req.params.id);
+    
+    if (!klass) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (!canEditRoster(req.session, klass)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to change this class roster',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Roster CSV is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const { rows, errors } = parseRoster(csv, { yearGroup: klass.yearGroup });
+    const { students, created, updatedCount } = await upsertStudents(rows);
+    
+    const updated = await storage.classes.modify(klass.id, current => ({
+      ...current,
+      studentIds: Array.from(new Set(students.map(s => s.id))),
+      updatedAt: new Date().toISOString()
+    }));
+    
+    res.json({
+      success: true,
+      message: `Roster for ${updated.code} has ${updated.studentIds.length} students (${created.length} new)`,
+      data: publicClass(updated),
+      created,
+      updatedCount,
+      errors
+    });
+  } catch (error) {
+    console.error('Error importing class roster:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import roster',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/classes/:id/marking
+ * @description The marking queue for every homework set for a class, in due date
+ * order. Teachers on the class (and those who manage it) see all of its homework;
+ * other teachers see the homework they can manage.
+ */
+app.get('/api/classes/:id/marking', requireTeacher, async (req, res) => {
+  try {
+    const klass = await storage.classes.get(req.params.id);
+    
+    if (!klass) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const homeworks = (await storage.homework.find({ classId: klass.id }, { sort: 'dueDate' }))
+      .map(normalizeHomework)
+      .filter(hw => canEditRoster(req.session, klass) || canManageHomework(req.session, hw));
+    
+    if (!homeworks.length && !canEditRoster(req.session, klass)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view marking for this class',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    const where = { homeworkId: { $in: homeworks.map(hw => hw.id) } };
+    const [submissions, marks] = await Promise.all([
+      storage.submissions.find(where),
+      storage.marks.find(where)
+    ]);
+    const queues = [];
+    for (const hw of homeworks) {
+      const students = await studentsForHomework(hw);
+      const forHomework = records => records.filter(r => r.homeworkId === hw.id);
+      queues.push(markingQueue(hw, students, forHomework(submissions), forHomework(marks)));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        class: publicClass(klass),
+        homeworkCount: queues.length,
+        submittedCount: queues.reduce((sum, q) => sum + q.submittedCount, 0),
+        lateCount: queues.reduce((sum, q) => sum + q.lateCount, 0),
+        missingCount: queues.filter(q => q.pastDue).reduce((sum, q) => sum + q.missingCount, 0),
+        unmarkedCount: queues.reduce((sum, q) => sum + q.unmarkedCount, 0),
+        homework: queues
+      }
+    });
+  } catch (error) {
+    console.error('Error getting class marking queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch marking queue',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// ==================
+// Student Routes
+// ==================
+
+/**
+ * @route POST /api/student/login
+ * @description Student login with the code from their class roster
+ */
+app.post('/api/student/login', async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Login code required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const [student] = await storage.students.find({ codeHash: hashLoginCode(code) });
+    
+    if (!student) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid login code',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+    
+    // A browser is signed in as a teacher or a student, never both
+    ['teacherEmail', 'teacherName', 'role', 'department', 'isAdmin'].forEach(key => {
+      delete req.session[key];
+    });
+    req.session.studentId = student.id;
+    
+    res.json({
+      success: true,
+      data: publicStudent(student)
+    });
+  } catch (error) {
+    console.error('Student login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during login',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/student/me
+ * @description Get the signed-in student's details
+ */
+app.get('/api/student/me', requireStudent, (req, res) => {
+  res.json({ success: true, data: publicStudent(req.student) });
+});
+
+/**
+ * @route GET /api/student/homework
+ * @description Homework set for the signed-in student, with their own done and submission
+ * status, mark and feedback
+ */
+app.get('/api/student/homework', requireStudent, async (req, res) => {
+  try {
+    const student = req.student;
+    const classes = await storage.classes.find();
+    const classesById = new Map(classes.map(c => [c.id, c]));
+    const rosterClassIds = classes
+      .filter(c => (c.studentIds || []).includes(student.id))
+      .map(c => c.id);
+    
+    // Homework for their year group, plus anything set for a class they're on the roster of
+    const [byYear, byClass, completions, submissions, marks] = await Promise.all([
+      storage.homework.find({ yearGroup: student.yearGroup }),
+      storage.homework.find({ classId: { $in: rosterClassIds } }),
+      storage.completions.find({ studentId: student.id }),
+      storage.submissions.find({ studentId: student.id }),
+      storage.marks.find({ studentId: student.id })
+    ]);
+    const homeworks = Array.from(new Map([...byYear, ...byClass].map(hw => [hw.id, hw])).values())
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    const completionByHomework = new Map(completions.map(c => [c.homeworkId, c]));
+    const submissionByHomework = new Map(submissions.map(s => [s.homeworkId, s]));
+    const markByHomework = new Map(marks.map(m => [m.homeworkId, m]));
+    
+    const data = homeworks
+      .map(normalizeHomework)
+      .filter(hw => isAssignedTo(hw, student, classesById.get(hw.classId)))
+      .map(hw => {
+        const completion = completionByHomework.get(hw.id);
+        const submission = submissionByHomework.get(hw.id);
+        const mark = markByHomework.get(hw.id);
+        return {
+          ...hw,
+          done: Boolean(completion),
+          completedAt: completion ? completion.completedAt : null,
+          late: completion ? completion.late : false,
+          submitted: Boolean(submission),
+          submittedAt: submission ? submission.submittedAt : null,
+          mark: mark ? publicMark(mark) : null
+        };
+      });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error getting student homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch homework',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/student/homework/:id/complete
+ * @description Mark a homework done (or, with { done: false }, not done) for the signed-in student
+ */
+app.post('/api/student/homework/:id/complete', requireStudent, async (req, res) => {
+  try {
+    const { done = true } = req.body || {};
+    const homework = await homeworkForStudent(req.params.id, req.student);
+    
+    if (!homework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    // One completion per student per homework, so a double click can't record two
+    const completionId = `${homework.id}:${req.student.id}`;
+    
+    if (!done) {
+      await storage.completions.remove(completionId);
+      return res.json({
+        success: true,
+        message: 'Homework marked as not done',
+        data: { homeworkId: homework.id, done: false }
+      });
+    }
+    
+    // Done as of the first time; marking it done again keeps that time
+    const completedAt = new Date().toISOString();
+    const completion = await storage.completions.upsert(completionId, current => current || {
+      id: completionId,
+      homeworkId: homework.id,
+      studentId: req.student.id,
+      completedAt,
+      late: isLate(homework, completedAt)
+    });
+    
+    res.json({
+      success: true,
+      message: completion.late ? 'Homework marked as done (late)' : 'Homework marked as done',
+      data: { homeworkId: homework.id, done: true, completedAt: completion.completedAt, late: completion.late }
+    });
+  } catch (error) {
+    console.error('Error marking homework done:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update homework status',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/student/homework/:id/submission
+ * @description The signed-in student's submission for a homework, with their mark and feedback
+ */
+app.get('/api/student/homework/:id/submission', requireStudent, async (req, res) => {
+  try {
+    const homework = await homeworkForStudent(req.params.id, req.student);
+    const submission = homework && await storage.submissions.get(submissionId(homework.id, req.student.id));
+    
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: homework ? 'Nothing handed in for this homework yet' : 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const mark = await storage.marks.get(submission.id);
+    res.json({ success: true, data: { ...publicSubmission(submission), mark: mark ? publicMark(mark) : null } });
+  } catch (error) {
+    console.error('Error getting submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch submission',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/student/homework/:id/submission
+ * @description Hand in a homework: `text` and/or up to MAX_SUBMISSION_FILES
+ * `files` (multipart, same types and size limit as attachments). Handing in
+ * again replaces the earlier submission. Also marks the homework done.
+ */
+app.post(
+  '/api/student/homework/:id/submission',
+  requireStudent,
+  uploadFiles('files', MAX_SUBMISSION_FILES),
+  async (req, res) => {
+    const uploaded = req.files || [];
+    let stored = [];
+    
+    try {
+      const homework = await homeworkForStudent(req.params.id, req.student);
+      
+      if (!homework) {
+        return res.status(404).json({
+          success: false,
+          error: 'Homework not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      const { value, errors } = validate(SUBMISSION_SCHEMA, req.body || {}, { partial: true });
+      if (errors.length) {
+        return sendValidationErrors(res, errors);
+      }
+      const text = value.text || '';
+      if (!text && !uploaded.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Add some text or a file to hand in',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const result = await storeUploads(uploaded);
+      if (!result.files) {
+        return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+      }
+      stored = result.files;
+      
+      const id = submissionId(homework.id, req.student.id);
+      const submittedAt = new Date().toISOString();
+      let existing = null;
+      const submission = await storage.submissions.upsert(id, current => {
+        existing = current;
+        return {
+          id,
+          homeworkId: homework.id,
+          studentId: req.student.id,
+          text,
+          files: stored.map(file => submissionFile(file, uuidv4())),
+          submittedAt,
+          firstSubmittedAt: current ? current.firstSubmittedAt : submittedAt,
+          attempts: current ? current.attempts + 1 : 1,
+          late: isLate(homework, submittedAt)
+        };
+      });
+      if (existing) {
+        await releaseFiles(existing.files);
+      }
+      
+      // Handing in counts as done, as of the first time
+      await storage.completions.upsert(id, current => current || {
+        id,
+        homeworkId: homework.id,
+        studentId: req.student.id,
+        completedAt: submittedAt,
+        late: submission.late
+      });
+      
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: submission.late ? 'Homework handed in (late)' : 'Homework handed in',
+        data: publicSubmission(submission)
+      });
+    } catch (error) {
+      console.error('Error handing in homework:', error);
+      await releaseFiles(stored).catch(() => {});
+      res.status(500).json({
+        success: false,
+        error: 'Failed to hand in homework',
+        code: 'SUBMISSION_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/student/homework/:id/submission
+ * @description Withdraw the signed-in student's submission and delete its files.
+ * The homework stays marked done until they mark it not done. Marked work can't
+ * be withdrawn.
+ */
+app.delete('/api/student/homework/:id/submission', requireStudent, async (req, res) => {
+  try {
+    const homework = await homeworkForStudent(req.params.id, req.student);
+    const submission = homework && await storage.submissions.get(submissionId(homework.id, req.student.id));
+    
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: homework ? 'Nothing handed in for this homework yet' : 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (await storage.marks.get(submission.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This homework has been marked, so it can no longer be withdrawn',
+        code: 'ALREADY_MARKED'
+      });
+    }
+    
+    await storage.submissions.remove(submission.id);
+    await releaseFiles(submission.files);
+    
+    res.json({
+      success: true,
+      message: 'Submission withdrawn',
+      data: { homeworkId: homework.id, submitted: false }
+    });
+  } catch (error) {
+    console.error('Error withdrawing submission:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw submission',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/submissions/:id/files/:fileId
+ * @description Download a submitted file: for the student who handed it in and
+ * teachers who manage the homework
+ */
+app.get('/api/submissions/:id/files/:fileId', async (req, res) => {
+  try {
+    const submission = await storage.submissions.get(req.params.id);
+    const file = submission && submission.files.find(f => f.id === req.params.fileId);
+    const homework = file && await storage.homework.get(submission.homeworkId);
+    const teacher = sessionTeacher(req);
+    
+    if (!teacher && !req.session.studentId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    
+    const allowed = homework && (teacher
+      ? canManageHomework(req.session, homework)
+      : submission.studentId === req.session.studentId);
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    sendStoredFile(res, file);
+  } catch (error) {
+    console.error('Error downloading submitted file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file',
+      code: 'DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// ==================
+// Homework Routes
+// ==================
+
+/**
+ * @route GET /api/homework
+ * @description Get all homeworks with optional filtering. Comments are teachers'
+ * notes, so only signed-in teachers get them.
+ */
+app.get('/api/homework', async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const homeworks = await filterHomeworks(req.query);
+    const isTeacher = Boolean(sessionTeacher(req));
+
+    // Pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    const paginatedHomeworks = (await withRelations(homeworks.slice(startIndex, endIndex)))
+      .map(hw => (isTeacher ? hw : { ...hw, comments: [] }));
+
+    res.json({
+      success: true,
+      data: paginatedHomeworks,
+      pagination: {
+        total: homeworks.length,
+        page: parseInt(page),
+        totalPages: Math.ceil(homeworks.length / limit),
+        hasNext: endIndex < homeworks.length,
+        hasPrevious: startIndex > 0
+      }
+    });
+  } catch (error) {
+    console.error('Error getting homeworks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch homeworks',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/homework/:id
+ * @description Get a single homework by ID. Only signed-in teachers get its comments.
+ */
+app.get('/api/homework/:id', async (req, res) => {
+  try {
+    const homework = await storage.homework.get(req.params.id);
+    
+    if (!homework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const [found] = await withRelations([normalizeHomework(homework)]);
+    // Comments are teachers' notes, as in the list
+    const data = sessionTeacher(req) ? found : { ...found, comments: [] };
+    res.set('ETag', etagFor(data));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error getting homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch homework',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework
+ * @description Create a new homework
+ */
+app.post('/api/homework', requireTeacher, async (req, res) => {
+  try {
+    const { homework: newHomework, fields, errors } = await homeworkFromBody(req.body, req.session);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { isRecurring = false, recurrence = { type: 'none', interval: 1, daysOfWeek: [] } } = fields;
+
+    const startDay = toDay(newHomework.dueDate);
+    let rule = null;
+    if (isRecurring) {
+      const result = normalizeRule(recurrence, startDay);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      rule = result.rule;
+    }
+
+    let createdHomeworks = [newHomework];
+    let series = null;
+
+    // Recurring homework becomes a series, with occurrences generated up to the horizon
+    if (rule) {
+      const horizon = recurrenceHorizon(startDay);
+      series = {
+        id: uuidv4(),
+        rule,
+        startDate: startDay,
+        exceptions: [],
+        template: seriesTemplate(newHomework),
+        teacherEmail: req.session.teacherEmail,
+        generatedUntil: horizon,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      const calendar = await termCalendar();
+      createdHomeworks = occurrenceDates(rule, startDay, horizon, [], day => isSchoolDay(calendar, day))
+        .map(day => occurrenceFrom(series, day));
+      
+      if (!createdHomeworks.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'The recurrence rule gives no due dates',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+
+    // Recurring homework already skips non-school days; a one-off due on one
+    // is refused like an over-budget homework, and only a warning for admins
+    const dayWarnings = series ? [] : termWarnings(await termCalendar(), createdHomeworks);
+    if (dayWarnings.length && !req.session.isAdmin) {
+      return res.status(422).json({
+        success: false,
+        error: dayWarnings[0],
+        code: 'NON_SCHOOL_DAY',
+        warnings: dayWarnings
+      });
+    }
+    
+    // Admins may go over a year group's workload budget; everyone else is stopped
+    const workload = await workloadFor(createdHomeworks);
+    const budgetWarningList = workload.flatMap(budgetWarnings);
+    if (budgetWarningList.length && !req.session.isAdmin) {
+      return res.status(422).json({
+        success: false,
+        error: budgetWarningList[0],
+        code: 'OVER_BUDGET',
+        warnings: budgetWarningList,
+        workload
+      });
+    }
+    const warnings = dayWarnings.concat(budgetWarningList);
+
+    // Save all created homeworks
+    if (series) {
+      await storage.series.insert(series);
+    }
+    await storage.homework.insertMany(createdHomeworks);
+    await recordCreated(createdHomeworks, actorFrom(req));
+    
+    res.status(201).json({
+      success: true,
+      message: series
+        ? `Recurring homework created with ${createdHomeworks.length} occurrences`
+        : 'Homework created successfully',
+      data: { ...createdHomeworks[0], attachments: [], comments: [] },
+      series: series && { id: series.id, rule: series.rule, startDate: series.startDate },
+      occurrences: createdHomeworks.length,
+      workload,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error creating homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create homework',
+      code: 'CREATE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route PUT /api/homework/:id
+ * @description Update a homework. For recurring homework, ?scope=this (default),
+ * following or series picks which occurrences change; a new `recurrence` rule
+ * can be given with following or series. With If-Match (the homework's ETag),
+ * a stale edit gets 412, or 409 if another save landed while this one ran;
+ * both send back the current copy.
+ */
+app.put('/api/homework/:id', requireTeacher, checkHomeworkPermission, checkIfMatch, async (req, res) => {
+  try {
+    // Comments and attachments are managed through their own routes, and
+    // series membership only changes through the recurrence rule, so the
+    // schema refuses them along with the fields the server owns
+    const { value, errors } = validate(HOMEWORK_UPDATE_SCHEMA, req.body, { partial: true });
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const { recurrence, ...changes } = value;
+    const scope = req.query.scope || 'this';
+    
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${SCOPES.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const seriesChange = Boolean(req.homework.seriesId) && scope !== 'this';
+    if (recurrence !== undefined && !seriesChange) {
+      return res.status(400).json({
+        success: false,
+        error: req.homework.seriesId
+          ? 'Change the recurrence with scope=following or scope=series'
+          : 'This homework is not recurring',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    if (seriesChange && 'dueDate' in changes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a single occurrence can be moved; change the recurrence to move the rest of the series',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if ('classId' in changes || 'className' in changes) {
+      const klass = await findClass(changes.classId, changes.className);
+      if (changes.classId && !klass) {
+        return sendValidationErrors(res, [{ field: 'classId', code: 'invalid', message: 'Class not found' }]);
+      }
+      Object.assign(changes, classLink(klass));
+    }
+    
+    let plan = null;
+    if (seriesChange) {
+      plan = await planSeriesChange(req.homework, changes, recurrence, scope);
+      if (plan.error) {
+        return res.status(400).json({
+          success: false,
+          error: plan.error,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+    
+    let warnings = [];
+    if (changes.dueDate) {
+      warnings = termWarnings(await termCalendar(), [{ ...req.homework, ...changes }]);
+      if (warnings.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: warnings[0],
+          code: 'NON_SCHOOL_DAY',
+          warnings
+        });
+      }
+    }
+    
+    // Only changes that move minutes around are checked against the budgets
+    let workload = [];
+    if (['dueDate', 'estimatedMinutes', 'yearGroup', 'classId'].some(field => field in changes) || recurrence !== undefined) {
+      workload = await workloadFor(plan ? plan.updated.concat(plan.created) : [{ ...req.homework, ...changes }]);
+      const overBudget = workload.flatMap(budgetWarnings);
+      if (overBudget.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: overBudget[0],
+          code: 'OVER_BUDGET',
+          warnings: overBudget,
+          workload
+        });
+      }
+      warnings = warnings.concat(overBudget);
+    }
+    
+    if (plan) {
+      await applySeriesChange(plan, actorFrom(req), {
+        editedId: req.homework.id,
+        ifMatch: parseIfMatch(req.get('If-Match'))
+      });
+      const changed = plan.updated.concat(plan.created);
+      const shown = changed.find(hw => hw.id === req.homework.id) || changed[0];
+      // Re-read for the version the save gave it
+      const saved = shown && await storage.homework.get(shown.id);
+      const [data] = await withRelations(saved ? [normalizeHomework(saved)] : []);
+      if (data) res.set('ETag', etagFor(data));
+      return res.json({
+        success: true,
+        message: `Updated ${plan.updated.length} occurrences` +
+          (plan.created.length || plan.stale.length
+            ? `, added ${plan.created.length} and removed ${plan.stale.length}`
+            : ''),
+        data: data || null,
+        series: { id: plan.series.id, rule: plan.series.rule, startDate: plan.series.startDate },
+        workload,
+        warnings
+      });
+    }
+    
+    const updatedHomework = await modifyHomework(req.params.id, current => ({
+      ...current,
+      ...changes,
+      id: req.params.id, // Prevent ID change
+      updatedAt: new Date().toISOString()
+    }), actorFrom(req), 'update', { ifMatch: parseIfMatch(req.get('If-Match')) });
+    
+    if (!updatedHomework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const [data] = await withRelations([normalizeHomework(updatedHomework)]);
+    res.set('ETag', etagFor(data));
+    res.json({
+      success: true,
+      message: 'Homework updated successfully',
+      data,
+      workload,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendEditConflict(res, error.current);
+    }
+    console.error('Error updating homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update homework',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/homework/:id
+ * @description Delete a homework. For recurring homework, ?scope=this (default),
+ * following or series picks which occurrences go.
+ */
+app.delete('/api/homework/:id', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const scope = req.query.scope || 'this';
+    
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Scope must be one of: ${SCOPES.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    let ids = [homework.id];
+    if (homework.seriesId && scope !== 'this') {
+      const series = await storage.series.get(homework.seriesId);
+      const members = await storage.homework.find({ seriesId: homework.seriesId });
+      
+      if (series && scope === 'following' && homework.occurrenceDate > series.startDate) {
+        // End the series the day before this occurrence
+        const { before } = splitRule(series.rule, series.startDate, homework.occurrenceDate);
+        await storage.series.modify(series.id, current => ({
+          ...current,
+          rule: before,
+          updatedAt: new Date().toISOString()
+        }));
+        ids = members.filter(hw => hw.occurrenceDate >= homework.occurrenceDate).map(hw => hw.id);
+      } else {
+        await storage.series.remove(homework.seriesId);
+        ids = members.map(hw => hw.id);
+      }
+      await removeHomeworks(ids, { recordExceptions: false, actor: actorFrom(req) });
+    } else {
+      await removeHomeworks(ids, { actor: actorFrom(req) });
+    }
+    
+    res.json({
+      success: true,
+      message: ids.length > 1 ? `Deleted ${ids.length} homeworks` : 'Homework deleted successfully',
+      count: ids.length
+    });
+  } catch (error) {
+    console.error('Error deleting homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete homework',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework/:id/complete
+ * @description Toggle homework completion status. Takes If-Match like PUT, so
+ * two teachers toggling at once don't cancel each other out.
+ */
+app.post('/api/homework/:id/complete', requireTeacher, checkHomeworkPermission, checkIfMatch, async (req, res) => {
+  try {
+    const updatedHomework = await modifyHomework(req.params.id, current => ({
+      ...current,
+      completed: !current.completed,
+      updatedAt: new Date().toISOString()
+    }), actorFrom(req), 'complete', { ifMatch: parseIfMatch(req.get('If-Match')) });
+    
+    if (!updatedHomework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const [data] = await withRelations([normalizeHomework(updatedHomework)]);
+    res.set('ETag', etagFor(data));
+    res.json({
+      success: true,
+      message: `Homework marked as ${updatedHomework.completed ? 'completed' : 'incomplete'}`,
+      data
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendEditConflict(res, error.current);
+    }
+    console.error('Error toggling homework status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update homework status',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/homework/:id/history
+ * @description Every recorded change to a homework, oldest first: who made it,
+ * when and which fields changed. ?action= narrows it to one kind of change.
+ */
+app.get('/api/homework/:id/history', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const { action } = req.query;
+    if (action && !HISTORY_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${HISTORY_ACTIONS.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const entries = (await storage.history.find({ homeworkId: req.params.id }))
+      .filter(entry => !action || entry.action === action)
+      .sort((a, b) => a.version - b.version);
+    
+    res.json({
+      success: true,
+      data: entries.map(publicEntry)
+    });
+  } catch (error) {
+    console.error('Error getting homework history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch homework history',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework/:id/revert
+ * @description Put a homework back the way it was at a version from its history ({ version }).
+ * Only the teacher who owns the homework or an admin can revert. Takes If-Match like
+ * PUT, and the restored due date and minutes are checked against the term dates and
+ * workload budgets the same way.
+ */
+app.post('/api/homework/:id/revert', requireTeacher, checkHomeworkPermission, checkIfMatch, async (req, res) => {
+  try {
+    const ownsHomework = (req.homework.teacherEmail || '').toLowerCase() === req.session.teacherEmail.toLowerCase();
+    if (!ownsHomework && !req.session.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the homework\'s teacher or an admin can revert it',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    const version = Number(req.body.version);
+    const entry = (await storage.history.find({ homeworkId: req.params.id }))
+      .find(e => e.version === version);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    if (!entry.snapshot) {
+      return res.status(400).json({
+        success: false,
+        error: 'That version can\'t be restored',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    // The same rules as an edit making these changes
+    const reverted = normalizeHomework(revertedRecord(req.homework, entry.snapshot));
+    const changed = field => String(reverted[field]) !== String(req.homework[field]);
+    let warnings = [];
+    if (changed('dueDate')) {
+      warnings = termWarnings(await termCalendar(), [reverted]);
+      if (warnings.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: warnings[0],
+          code: 'NON_SCHOOL_DAY',
+          warnings
+        });
+      }
+    }
+    
+    let workload = [];
+    if (['dueDate', 'estimatedMinutes', 'yearGroup', 'classId'].some(changed)) {
+      workload = await workloadFor([reverted]);
+      const overBudget = workload.flatMap(budgetWarnings);
+      if (overBudget.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: overBudget[0],
+          code: 'OVER_BUDGET',
+          warnings: overBudget,
+          workload
+        });
+      }
+      warnings = warnings.concat(overBudget);
+    }
+    
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    let before = null;
+    const updatedHomework = await storage.homework.modify(req.params.id, current => {
+      if (!matchesIfMatch(ifMatch, current)) throw new VersionConflictError(current);
+      before = current;
+      return nextVersion(current, {
+        ...revertedRecord(current, entry.snapshot),
+        updatedAt: new Date().toISOString()
+      });
+    });
+    
+    if (!updatedHomework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    await recordHistory('revert', {
+      before,
+      after: updatedHomework,
+      details: { version },
+      actor: actorFrom(req)
+    });
+    
+    const [data] = await withRelations([normalizeHomework(updatedHomework)]);
+    res.set('ETag', etagFor(data));
+    res.json({
+      success: true,
+      message: `Homework reverted to version ${version}`,
+      data,
+      workload,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendEditConflict(res, error.current);
+    }
+    console.error('Error reverting homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert homework',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/homework/:id/completions
+ * @description Which students have done a homework, done it late, or not done it
+ */
+app.get('/api/homework/:id/completions', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const [students, completions] = await Promise.all([
+      studentsForHomework(homework),
+      storage.completions.find({ homeworkId: homework.id })
+    ]);
+    const completionByStudent = new Map(completions.map(c => [c.studentId, c]));
+    
+    const done = [];
+    const late = [];
+    const notDone = [];
+    students.forEach(student => {
+      const completion = completionByStudent.get(student.id);
+      const entry = { studentId: student.id, name: student.name, className: student.className };
+      if (!completion) {
+        notDone.push(entry);
+      } else if (completion.late) {
+        late.push({ ...entry, completedAt: completion.completedAt });
+      } else {
+        done.push({ ...entry, completedAt: completion.completedAt });
+      }
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        homeworkId: homework.id,
+        total: students.length,
+        doneCount: done.length,
+        lateCount: late.length,
+        notDoneCount: notDone.length,
+        done,
+        late,
+        notDone
+      }
+    });
+  } catch (error) {
+    console.error('Error getting completions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch completions',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/homework/:id/submissions
+ * @description The marking queue for a homework: who has handed it in, handed it in late, or not
+ */
+app.get('/api/homework/:id/submissions', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const [students, submissions, marks] = await Promise.all([
+      studentsForHomework(homework),
+      storage.submissions.find({ homeworkId: homework.id }),
+      storage.marks.find({ homeworkId: homework.id })
+    ]);
+    
+    res.json({
+      success: true,
+      data: markingQueue(homework, students, submissions, marks)
+    });
+  } catch (error) {
+    console.error('Error getting submissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch submissions',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// ==================
+// Marks & Feedback
+// ==================
+
+/**
+ * @route GET /api/homework/:id/marks
+ * @description A homework's mark scheme, the marks and feedback given so far, and
+ * their average and distribution
+ */
+app.get('/api/homework/:id/marks', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const [students, marks] = await Promise.all([
+      studentsForHomework(homework),
+      storage.marks.find({ homeworkId: homework.id })
+    ]);
+    const markByStudent = new Map(marks.map(m => [m.studentId, m]));
+    
+    res.json({
+      success: true,
+      data: {
+        homeworkId: homework.id,
+        markScheme: homework.markScheme,
+        total: students.length,
+        ...markSummary(marks),
+        students: students.map(student => ({
+          studentId: student.id,
+          name: student.name,
+          className: student.className,
+          mark: markByStudent.has(student.id) ? publicMark(markByStudent.get(student.id)) : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting marks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch marks',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/homework/:id/marks
+ * @description Enter marks for a whole class at once: { marks: [{ studentId,
+ * points | grade | criteria, feedback }] }. Nothing is saved unless every entry
+ * is valid.
+ */
+app.put('/api/homework/:id/marks', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const entries = req.body && req.body.marks;
+    
+    if (!Array.isArray(entries) || !entries.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'marks must be a non-empty list',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const studentIds = new Set((await studentsForHomework(homework)).map(student => student.id));
+    const seen = new Set();
+    const errors = [];
+    const valid = [];
+    entries.forEach((entry, i) => {
+      const prefix = `marks[${i}].`;
+      const { value, errors: entryErrors } = validate(MARK_ENTRY_SCHEMA, entry);
+      if (entryErrors.length) {
+        errors.push(...entryErrors.map(error => ({ ...error, field: error.field ? prefix + error.field : `marks[${i}]` })));
+        return;
+      }
+      if (!studentIds.has(value.studentId)) {
+        errors.push({ field: `${prefix}studentId`, code: 'invalid', message: `This homework isn't set for student ${value.studentId}` });
+        return;
+      }
+      if (seen.has(value.studentId)) {
+        errors.push({ field: `${prefix}studentId`, code: 'invalid', message: `Student ${value.studentId} is in the list more than once` });
+        return;
+      }
+      seen.add(value.studentId);
+      const score = readScore(homework.markScheme, value, prefix);
+      if (score.errors) {
+        errors.push(...score.errors);
+        return;
+      }
+      valid.push({ studentId: value.studentId, score: score.value, feedback: value.feedback });
+    });
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    const saved = [];
+    for (const entry of valid) {
+      saved.push((await saveMark(homework, entry.studentId, entry.score, entry.feedback, req.session)).mark);
+    }
+    
+    res.json({
+      success: true,
+      message: `Saved ${saved.length} mark${saved.length === 1 ? '' : 's'}`,
+      count: saved.length,
+      data: saved.map(publicMark),
+      summary: markSummary(await storage.marks.find({ homeworkId: homework.id }))
+    });
+  } catch (error) {
+    console.error('Error saving marks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save marks',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/homework/:id/marks/:studentId
+ * @description Mark one student's homework: points, grade or rubric criteria as
+ * the homework's mark scheme asks, and feedback only they will see
+ */
+app.put('/api/homework/:id/marks/:studentId', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const homework = req.homework;
+    const students = await studentsForHomework(homework);
+    
+    if (!students.some(student => student.id === req.params.studentId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'This homework is not set for that student',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const { value, errors } = validate(MARK_SCHEMA, req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const score = readScore(homework.markScheme, value);
+    if (score.errors) {
+      return sendValidationErrors(res, score.errors);
+    }
+    
+    const { mark, created } = await saveMark(homework, req.params.studentId, score.value, value.feedback, req.session);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Mark saved',
+      data: publicMark(mark)
+    });
+  } catch (error) {
+    console.error('Error saving mark:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save mark',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/homework/:id/marks/:studentId
+ * @description Remove a student's mark and feedback
+ */
+app.delete('/api/homework/:id/marks/:studentId', requireTeacher, checkHomeworkPermission, async (req, res) => {
+  try {
+    const removed = await storage.marks.remove(submissionId(req.homework.id, req.params.studentId));
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mark not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Mark removed'
+    });
+  } catch (error) {
+    console.error('Error removing mark:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove mark',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Search
+// ==================
+
+/**
+ * @route GET /api/search
+ * @description Ranked full-text search over homework titles, tags, subjects,
+ * descriptions, comments and attachment filenames. Comments, like the comments
+ * route, are only searched for teachers. Takes the GET /api/homework filters;
+ * mine=true limits a signed-in teacher to their own homework. Each
+ * result carries its score, the fields that matched and HTML-escaped
+ * highlights with the matches in <mark>.
+ */
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 500);
+
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'q is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'q must be 200 characters or fewer',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const query = { ...req.query, search: undefined };
+    if (req.query.mine === 'true') {
+      if (!req.session || !req.session.teacherEmail) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+      query.teacherEmail = req.session.teacherEmail;
+    }
+
+    const isTeacher = Boolean(req.session && req.session.teacherEmail);
+    const homeworks = new Map((await filterHomeworks(query)).map(hw => [hw.id, hw]));
+    const results = await homeworkSearch.search(q, {
+      ids: new Set(homeworks.keys()),
+      fields: isTeacher ? SEARCH_FIELDS : SEARCH_FIELDS.filter(field => field !== 'comments')
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      total: results.length,
+      data: results.slice(0, limit).map(result => ({
+        ...homeworks.get(result.id),
+        search: {
+          score: result.score,
+          fields: result.fields,
+          title: result.title,
+          snippet: result.snippet
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching homework:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search homework',
+      code: 'SEARCH_ERROR'
+    });
+  }
+});
+
+// ==================
+// Bulk Operations
+// ==================
+
+/**
+ * @route POST /api/homework/bulk-delete
+ * @description Delete multiple homeworks
+ */
+app.post('/api/homework/bulk-delete', requireTeacher, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No homework IDs provided',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    // Only allow deleting homeworks the teacher may manage
+    const owned = (await storage.homework.find({ id: { $in: ids } }))
+      .filter(hw => canManageHomework(req.session, hw));
+    
+    const deletedCount = await removeHomeworks(owned.map(hw => hw.id), { actor: actorFrom(req) });
+    
+    res.json({
+      success: true,
+      message: `Successfully deleted ${deletedCount} homeworks`,
+      count: deletedCount
+    });
+  } catch (error) {
+    console.error('Error in bulk delete:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete homeworks',
+      code: 'BULK_DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework/bulk-update
+ * @description Update multiple homeworks. If-Match may list the ETag of each
+ * one; if any has changed since, nothing is updated (412), and if one changes
+ * while the others are saved it is skipped (409). Both send back the current
+ * copies of the homeworks that had changed. A new due date on a non-school day,
+ * or changes that take a year group over budget, are refused (422) unless an
+ * admin makes them.
+ */
+app.post('/api/homework/bulk-update', requireTeacher, async (req, res) => {
+  try {
+    const { ids, updates } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      return sendValidationErrors(res, [{ field: 'ids', code: 'invalid', message: 'ids must be a list of homework ids' }]);
+    }
+    
+    // The same fields as a single update, except a series' recurrence
+    const { value: changes, errors } = validate(HOMEWORK_SCHEMA, updates, { partial: true });
+    if (errors.length) {
+      return sendValidationErrors(res, errors.map(error => ({
+        ...error,
+        field: error.field ? `updates.${error.field}` : 'updates'
+      })));
+    }
+    if (!Object.keys(changes).length) {
+      return sendValidationErrors(res, [{ field: 'updates', code: 'required', message: 'updates must change at least one field' }]);
+    }
+    if ('classId' in changes || 'className' in changes) {
+      const klass = await findClass(changes.classId, changes.className);
+      if (changes.classId && !klass) {
+        return sendValidationErrors(res, [{ field: 'updates.classId', code: 'invalid', message: 'Class not found' }]);
+      }
+      Object.assign(changes, classLink(klass));
+    }
+    
+    const owned = (await storage.homework.find({ id: { $in: ids } }))
+      .filter(hw => canManageHomework(req.session, hw));
+    
+    if (owned.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No matching homeworks found or no permission',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const stale = owned.filter(hw => !matchesIfMatch(ifMatch, hw));
+    if (stale.length) {
+      return res.status(412).json({
+        success: false,
+        error: `${stale.length} of these homeworks were changed by someone else since you loaded them`,
+        code: 'PRECONDITION_FAILED',
+        data: await withRelations(stale.map(normalizeHomework))
+      });
+    }
+    
+    // Each homework is checked the way a single update is; one on a
+    // non-school day or over a budget stops the whole batch
+    const projected = owned.map(hw => ({ ...normalizeHomework(hw), ...changes }));
+    let warnings = [];
+    if (changes.dueDate) {
+      warnings = termWarnings(await termCalendar(), projected);
+      if (warnings.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: warnings[0],
+          code: 'NON_SCHOOL_DAY',
+          warnings
+        });
+      }
+    }
+    
+    // The batch is checked as a whole, so homeworks moved onto the same day
+    // count together
+    let workload = [];
+    if (['dueDate', 'estimatedMinutes', 'yearGroup', 'classId'].some(field => field in changes)) {
+      workload = await workloadFor(projected);
+      // Homeworks due the same day report the same load
+      const overBudget = Array.from(new Set(workload.flatMap(budgetWarnings)));
+      if (overBudget.length && !req.session.isAdmin) {
+        return res.status(422).json({
+          success: false,
+          error: overBudget[0],
+          code: 'OVER_BUDGET',
+          warnings: overBudget,
+          workload
+        });
+      }
+      warnings = warnings.concat(overBudget);
+    }
+    
+    let updatedCount = 0;
+    const conflicts = [];
+    for (const hw of owned) {
+      try {
+        await modifyHomework(hw.id, current => ({
+          ...current,
+          ...changes,
+          updatedAt: new Date().toISOString()
+        }), actorFrom(req), 'update', { ifMatch });
+        updatedCount++;
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) throw error;
+        conflicts.push(normalizeHomework(error.current));
+      }
+    }
+    
+    if (conflicts.length) {
+      return res.status(409).json({
+        success: false,
+        error: `Updated ${updatedCount} homeworks; ${conflicts.length} changed while saving and were left alone`,
+        code: 'EDIT_CONFLICT',
+        count: updatedCount,
+        data: await withRelations(conflicts)
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Successfully updated ${updatedCount} homeworks`,
+      count: updatedCount,
+      workload,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error in bulk update:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update homeworks',
+      code: 'BULK_UPDATE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Comments & Notes
+// ==================
+
+/**
+ * @route GET /api/homework/:id/comments
+ * @description Get comments for a homework
+ */
+app.get('/api/homework/:id/comments', requireTeacher, async (req, res) => {
+  try {
+    const homework = await storage.homework.get(req.params.id);
+    
+    if (!homework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await storage.comments.find({ homeworkId: homework.id })
+    });
+  } catch (error) {
+    console.error('Error getting comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework/:id/comments
+ * @description Add a comment to a homework
+ */
+app.post('/api/homework/:id/comments', requireTeacher, async (req, res) => {
+  try {
+    const { value: fields, errors } = validate(COMMENT_SCHEMA, req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    const homework = await storage.homework.get(req.params.id);
+    
+    if (!homework) {
+      return res.status(404).json({
+        success: false,
+        error: 'Homework not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const newComment = {
+      id: uuidv4(),
+      homeworkId: homework.id,
+      content: fields.content,
+      author: req.session.teacherEmail,
+      authorName: req.session.teacherName,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.comments.insert(newComment);
+    await storage.homework.modify(homework.id, current => nextVersion(current, {
+      ...current,
+      updatedAt: new Date().toISOString()
+    }));
+    
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: newComment
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+// ==================
+// File Attachments
+// ==================
+
+/**
+ * @route POST /api/homework/:id/attachments
+ * @description Upload a file attachment for a homework
+ */
+app.post(
+  '/api/homework/:id/attachments',
+  requireTeacher,
+  checkHomeworkPermission,
+  uploadFiles('file', 1),
+  async (req, res) => {
+    const [file] = req.files || [];
+    let stored = [];
+    
+    try {
+      if (!file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          code: 'NO_FILE'
+        });
+      }
+      
+      const homework = await storage.homework.get(req.params.id);
+      
+      if (!homework) {
+        return res.status(404).json({
+          success: false,
+          error: 'Homework not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      const result = await storeUploads([file]);
+      if (!result.files) {
+        return res.status(result.status).json({ success: false, error: result.error, code: result.code });
+      }
+      stored = result.files;
+      
+      const attachment = {
+        id: uuidv4(),
+        homeworkId: homework.id,
+        ...stored[0],
+        uploadedBy: req.session.teacherEmail,
+        uploadedAt: new Date().toISOString()
+      };
+      
+      await storage.attachments.insert(attachment);
+      const updated = await storage.homework.modify(homework.id, current => nextVersion(current, {
+        ...current,
+        updatedAt: new Date().toISOString()
+      }));
+      await recordHistory('attachment_added', {
+        before: homework,
+        after: updated,
+        changes: { attachment: { from: null, to: { id: attachment.id, filename: attachment.filename } } },
+        actor: actorFrom(req)
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: publicAttachment(attachment)
+      });
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      
+      // Delete the stored file if nothing else uses it
+      await releaseFiles(stored).catch(() => {});
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload file',
+        code: 'UPLOAD_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/homework/:homeworkId/attachments/:attachmentId/download
+ * @description Download an attachment under its original name. Open to teachers and to
+ * students the homework is set for, or to anyone with a signed link (?expires&signature)
+ * that hasn't expired.
+ */
+app.get('/api/homework/:homeworkId/attachments/:attachmentId/download', async (req, res) => {
+  try {
+    const attachment = await storage.attachments.get(req.params.attachmentId);
+    const notFound = () => res.status(404).json({
+      success: false,
+      error: 'Attachment not found',
+      code: 'NOT_FOUND'
+    });
+    
+    if (!attachment || attachment.homeworkId !== req.params.homeworkId) {
+      return notFound();
+    }
+    
+    if (req.query.signature !== undefined) {
+      const problem = verifyDownload(`attachment:${attachment.id}`, req.query, await downloadKey());
+      if (problem) {
+        return res.status(403).json({
+          success: false,
+          error: problem === 'expired' ? 'This download link has expired' : 'This download link is not valid',
+          code: problem === 'expired' ? 'LINK_EXPIRED' : 'INVALID_LINK'
+        });
+      }
+      return sendStoredFile(res, attachment);
+    }
+    
+    if (sessionTeacher(req)) {
+      return sendStoredFile(res, attachment);
+    }
+    
+    const student = req.session && req.session.studentId && await storage.students.get(req.session.studentId);
+    if (!student) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+    if (!(await homeworkForStudent(attachment.homeworkId, student))) {
+      return notFound();
+    }
+    sendStoredFile(res, attachment);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file',
+      code: 'DOWNLOAD_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/homework/:homeworkId/attachments/:attachmentId/link
+ * @description A signed download link for sharing an attachment with people who can't
+ * sign in ({ days }, 1 to MAX_LINK_DAYS, default DOWNLOAD_LINK_DAYS)
+ */
+app.post(
+  '/api/homework/:homeworkId/attachments/:attachmentId/link',
+  requireTeacher,
+  checkHomeworkPermission,
+  async (req, res) => {
+    try {
+      const { days = DOWNLOAD_LINK_DAYS } = req.body || {};
+      const attachment = await storage.attachments.get(req.params.attachmentId);
+      
+      if (!attachment || attachment.homeworkId !== req.homework.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      if (!Number.isInteger(days) || days < 1 || days > MAX_LINK_DAYS) {
+        return res.status(400).json({
+          success: false,
+          error: `days must be a whole number from 1 to ${MAX_LINK_DAYS}`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const expires = linkExpiry(days);
+      res.json({
+        success: true,
+        data: {
+          url: signedAttachmentUrl(attachment, await downloadKey(), expires),
+          expiresAt: new Date(expires * 1000).toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error creating download link:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create download link',
+        code: 'LINK_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/homework/:homeworkId/attachments/:attachmentId
+ * @description Delete a file attachment
+ */
+app.delete(
+  '/api/homework/:homeworkId/attachments/:attachmentId',
+  requireTeacher,
+  checkHomeworkPermission,
+  async (req, res) => {
+    try {
+      const { homeworkId, attachmentId } = req.params;
+      
+      const homework = await storage.homework.get(homeworkId);
+      
+      if (!homework) {
+        return res.status(404).json({
+          success: false,
+          error: 'Homework not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      const attachment = await storage.attachments.get(attachmentId);
+      
+      if (!attachment || attachment.homeworkId !== homeworkId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      
+      // The file stays on disk until the trash entry is purged
+      await storage.trash.insert(trashEntry({
+        id: uuidv4(),
+        kind: 'attachment',
+        homework,
+        attachment,
+        actor: actorFrom(req),
+        retentionDays: TRASH_RETENTION_DAYS
+      }));
+      await storage.attachments.remove(attachmentId);
+      const updated = await storage.homework.modify(homeworkId, current => nextVersion(current, {
+        ...current,
+        updatedAt: new Date().toISOString()
+      }));
+      await recordHistory('attachment_removed', {
+        before: homework,
+        after: updated,
+        changes: { attachment: { from: { id: attachment.id, filename: attachment.filename }, to: null } },
+        actor: actorFrom(req)
+      });
+      
+      res.json({
+        success: true,
+        message: 'Attachment moved to the trash'
+      });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete attachment',
+        code: 'DELETE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/uploads/reconcile
+ * @description Compare the uploads folder with attachment and submission records:
+ * delete files nothing refers to and list records whose file is missing. Send
+ * `{ dryRun: true }` to only list what would be deleted.
+ */
+app.post('/api/admin/uploads/reconcile', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const dryRun = Boolean(req.body && req.body.dryRun);
+    const result = await sweepUploads({ dryRun });
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${result.orphans.length} orphaned files would be deleted`
+        : `Deleted ${result.removed} orphaned files`,
+      data: { dryRun, ...result }
+    });
+  } catch (error) {
+    console.error('Error reconciling uploads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile uploads',
+      code: 'RECONCILE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Templates
+// ==================
+
+/**
+ * @route GET /api/templates
+ * @description Get all homework templates
+ */
+app.get('/api/templates', requireTeacher, async (req, res) => {
+  try {
+    const templates = await storage.templates.find();
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error getting templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/templates
+ * @description Create a new homework template
+ */
+app.post('/api/templates', requireTeacher, async (req, res) => {
+  try {
+    const { value: fields, errors } = validate(TEMPLATE_SCHEMA, req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    const newTemplate = {
+      id: uuidv4(),
+      title: fields.title,
+      subject: fields.subject,
+      description: fields.description || '',
+      tags: fields.tags || [],
+      createdAt: new Date().toISOString(),
+      createdBy: req.session.teacherEmail,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.templates.insert(newTemplate);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: newTemplate
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create template',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/templates/:id
+ * @description Delete a homework template
+ */
+app.delete('/api/templates/:id', requireTeacher, async (req, res) => {
+  try {
+    const template = await storage.templates.get(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (!canManageTemplate(req.session, template)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this template',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    
+    await storage.templates.remove(template.id);
+    
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Trash
+// ==================
+
+/**
+ * Load a trash entry the signed-in teacher may manage into req.trashEntry
+ */
+async function loadTrashEntry(req, res, next) {
+  try {
+    const entry = await storage.trash.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trash entry not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    if (!canManageHomework(req.session, entry.homework)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this trash entry',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    req.trashEntry = entry;
+    next();
+  } catch (error) {
+    console.error('Error loading trash entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash entry',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+/**
+ * @route GET /api/trash
+ * @description Deleted homework and attachments of the signed-in teacher's homework, newest first
+ */
+app.get('/api/trash', requireTeacher, async (req, res) => {
+  try {
+    const entries = await storage.trash.find({ teacherEmail: req.session.teacherEmail.toLowerCase() });
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: entries
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(publicTrashEntry)
+    });
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/trash
+ * @description Permanently delete everything in the signed-in teacher's trash
+ */
+app.delete('/api/trash', requireTeacher, async (req, res) => {
+  try {
+    const entries = await storage.trash.find({ teacherEmail: req.session.teacherEmail.toLowerCase() });
+    const count = await purgeTrash(entries, actorFrom(req));
+    res.json({
+      success: true,
+      message: `Permanently deleted ${count} items`,
+      count
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to empty trash',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/trash/:id/restore
+ * @description Restore a deleted homework (with its comments, attachments and
+ * completions) or a deleted attachment
+ */
+app.post('/api/trash/:id/restore', requireTeacher, loadTrashEntry, async (req, res) => {
+  try {
+    const result = await restoreTrash(req.trashEntry, actorFrom(req));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        code: 'CONFLICT'
+      });
+    }
+    
+    const [data] = await withRelations([normalizeHomework(result.homework)]);
+    res.json({
+      success: true,
+      message: req.trashEntry.kind === 'attachment' ? 'Attachment restored' : 'Homework restored',
+      data
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore from trash',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/trash/:id
+ * @description Permanently delete one trash entry and its attachment files
+ */
+app.delete('/api/trash/:id', requireTeacher, loadTrashEntry, async (req, res) => {
+  try {
+    await purgeTrash([req.trashEntry], actorFrom(req));
+    res.json({
+      success: true,
+      message: 'Permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error purging trash entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete trash entry',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/trash
+ * @description Everything in the trash across the school (?teacherEmail= for one teacher), newest first
+ */
+app.get('/api/admin/trash', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const where = req.query.teacherEmail ? { teacherEmail: String(req.query.teacherEmail).toLowerCase() } : {};
+    const entries = await storage.trash.find(where);
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: entries
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(publicTrashEntry)
+    });
+  } catch (error) {
+    console.error('Error getting school trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// ==================
+// Calendar Feeds
+// ==================
+
+/**
+ * Send an iCalendar document
+ */
+function sendCalendar(res, name, events) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="homework.ics"',
+    'Cache-Control': 'no-cache'
+  });
+  res.send(buildCalendar({ name, events }));
+}
+
+/**
+ * @route GET /api/calendar.ics
+ * @description iCalendar feed of homework due dates, filtered like GET /api/homework
+ * (yearGroup, subject, classId or class code, teacherEmail)
+ */
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    const where = homeworkWhere(req.query);
+    const nameParts = [];
+    
+    if (req.query.class && !req.query.classId) {
+      const klass = await findClass(null, req.query.class);
+      // An unknown class code gives an empty feed rather than every class's homework
+      if (!klass) {
+        return sendCalendar(res, `Homework - ${req.query.class}`, []);
+      }
+      where.classId = klass.id;
+      nameParts.push(klass.code);
+    } else if (req.query.classId) {
+      const klass = await storage.classes.get(req.query.classId);
+      if (klass) nameParts.push(klass.code);
+    }
+    if (req.query.yearGroup && !nameParts.length) nameParts.push(`Year ${where.yearGroup}`);
+    if (req.query.subject) nameParts.push(req.query.subject);
+    
+    const homeworks = (await storage.homework.find(where, { sort: 'dueDate' })).map(normalizeHomework);
+    // Anyone can read this feed, so its attachment links aren't signed
+    const events = (await withDownloadLinks(homeworks, { signed: false })).map(homeworkEvent);
+    sendCalendar(res, ['Homework', ...nameParts].join(' - '), events);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/calendar/teacher/:token.ics
+ * @description A teacher's private feed: due dates of the homework they set, and a
+ * marking deadline MARKING_DAYS after each
+ */
+app.get('/api/calendar/teacher/:token.ics', async (req, res) => {
+  try {
+    const [feed] = await storage.calendarFeeds.find({ tokenHash: hashFeedToken(req.params.token) });
+    const teacher = feed && teachers.get(feed.teacherEmail);
+    
+    if (!teacher || !teacher.active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const homeworks = await withDownloadLinks((await storage.homework.find({ teacherEmail: teacher.email }, { sort: 'dueDate' }))
+      .map(normalizeHomework));
+    const events = homeworks.flatMap(hw => [homeworkEvent(hw), markingEvent(hw, MARKING_DAYS)]);
+    sendCalendar(res, `Homework set by ${teacher.name || teacher.email}`, events);
+  } catch (error) {
+    console.error('Error building teacher calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// ==================
+// Planner PDF
+// ==================
+
+/**
+ * @route GET /api/planner.pdf
+ * @description Printable homework planner. Covers this week unless ?from= and ?to= (YYYY-MM-DD)
+ * give another range; filtered by yearGroup, subject, and classId or class code.
+ */
+app.get('/api/planner.pdf', async (req, res) => {
+  try {
+    const thisWeek = weekOf(localDay(new Date()));
+    const from = req.query.from || thisWeek.from;
+    const rangeError = validateRange(from, req.query.to || from);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    // A start date on its own gives the week from that day
+    const to = req.query.to || (req.query.from ? addDays(from, 6) : thisWeek.to);
+    
+    const where = homeworkWhere({ subject: req.query.subject, yearGroup: req.query.yearGroup });
+    const labelParts = [];
+    if (req.query.yearGroup) labelParts.push(`Year ${where.yearGroup}`);
+    if (req.query.classId || req.query.class) {
+      const klass = await findClass(req.query.classId, req.query.class);
+      if (!klass) {
+        return res.status(404).json({
+          success: false,
+          error: 'Class not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      where.classId = klass.id;
+      labelParts.push(klass.code);
+    }
+    if (req.query.subject) labelParts.push(req.query.subject);
+    where.dueDate = { $gte: `${from}T00:00:00.000Z`, $lte: `${to}T23:59:59.999Z` };
+    
+    const homeworks = (await storage.homework.find(where, { sort: 'dueDate' })).map(normalizeHomework);
+    const pdf = await renderPlanner({
+      from,
+      to,
+      filterLabel: labelParts.length ? labelParts.join(' · ') : 'All homework',
+      homeworks
+    });
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="homework-planner-${from}.pdf"`,
+      'Cache-Control': 'no-cache'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error building planner PDF:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build planner PDF',
+      code: 'PDF_ERROR'
+    });
+  }
+});
+
+// ==================
+// Term Calendar
+// ==================
+
+/**
+ * @route GET /api/terms
+ * @description Get the term calendar (terms, holidays and closure days)
+ */
+app.get('/api/terms', async (req, res) => {
+  try {
+    const calendar = await termCalendar();
+    res.json({
+      success: true,
+      data: {
+        terms: calendar.terms,
+        holidays: calendar.holidays,
+        closures: calendar.closures
+      }
+    });
+  } catch (error) {
+    console.error('Error getting term calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch term calendar',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/terms
+ * @description Replace the term calendar: { terms: [{ name, start, end }],
+ * holidays: [{ name, start, end }], closures: [{ name, date }] }, dates as YYYY-MM-DD.
+ * Occurrences of recurring homework generated from now on skip the non-school days.
+ */
+app.put('/api/terms', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const fieldError = validateTermCalendar(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
     }
     
-    res.status(403).json({ 
-      success: false, 
-      error: 'You do not have permission to modify this homework',
-      code: 'PERMISSION_DENIED'
+    const calendar = {
+      id: TERMS_SETTINGS_ID,
+      ...normalizeTermCalendar(req.body),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.teacherEmail
+    };
+    const updated = await storage.settings.update(calendar.id, calendar) ||
+      await storage.settings.insert(calendar);
+    
+    res.json({
+      success: true,
+      message: 'Term calendar updated successfully',
+      data: {
+        terms: updated.terms,
+        holidays: updated.holidays,
+        closures: updated.closures
+      }
     });
   } catch (error) {
-    console.error('Permission check error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Internal server error during permission check',
-      code: 'INTERNAL_ERROR'
+    console.error('Error updating term calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update term calendar',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Workload Budgets
+// ==================
+
+/**
+ * @route GET /api/workload
+ * @description Minutes of homework a year group has due on a day (?yearGroup=&date=) and in that week
+ */
+app.get('/api/workload', requireTeacher, async (req, res) => {
+  try {
+    const yearGroup = normalizeYearGroup(req.query.yearGroup);
+    const { date } = req.query;
+    
+    if (!yearGroup || !date || isNaN(new Date(date))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Year group and a valid date are required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const [settings, week] = await Promise.all([
+      workloadSettings(),
+      weekHomework(yearGroup, date)
+    ]);
+    
+    res.json({
+      success: true,
+      data: summarizeLoad({ yearGroup, dueDate: date }, week, budgetFor(settings, yearGroup))
+    });
+  } catch (error) {
+    console.error('Error getting workload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workload',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workload/budgets
+ * @description Get the daily and weekly minutes budgets for each year group
+ */
+app.get('/api/workload/budgets', requireTeacher, async (req, res) => {
+  try {
+    const settings = await workloadSettings();
+    res.json({
+      success: true,
+      data: {
+        default: settings.default,
+        yearGroups: settings.yearGroups
+      }
+    });
+  } catch (error) {
+    console.error('Error getting workload budgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workload budgets',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route PUT /api/workload/budgets
+ * @description Set the budgets: { default: { daily, weekly }, yearGroups: { "9": { daily, weekly } } }.
+ * Limits are minutes; null means no limit.
+ */
+app.put('/api/workload/budgets', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const fieldError = validateBudgets(req.body);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    const settings = {
+      id: WORKLOAD_SETTINGS_ID,
+      default: req.body.default || {},
+      yearGroups: Object.fromEntries(
+        Object.entries(req.body.yearGroups || {}).map(([year, budget]) => [normalizeYearGroup(year), budget])
+      ),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.teacherEmail
+    };
+    const updated = await storage.settings.update(settings.id, settings) ||
+      await storage.settings.insert(settings);
+    
+    res.json({
+      success: true,
+      message: 'Workload budgets updated successfully',
+      data: {
+        default: updated.default,
+        yearGroups: updated.yearGroups
+      }
+    });
+  } catch (error) {
+    console.error('Error updating workload budgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update workload budgets',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+// ==================
+// Statistics
+// ==================
+
+/**
+ * @route GET /api/stats
+ * @description Get homework statistics
+ */
+app.get('/api/stats', requireTeacher, async (req, res) => {
+  try {
+    const teacherEmail = req.session.teacherEmail;
+    
+    // Homeworks for the current teacher
+    const teacherHomeworks = (await storage.homework.find({ teacherEmail })).map(normalizeHomework);
+    
+    // Calculate statistics
+    const total = teacherHomeworks.length;
+    const completed = teacherHomeworks.filter(hw => hw.completed).length;
+    const pending = total - completed;
+    
+    // Group by subject
+    const bySubject = {};
+    teacherHomeworks.forEach(hw => {
+      const subject = hw.subject || 'Uncategorized';
+      bySubject[subject] = (bySubject[subject] || 0) + 1;
+    });
+    
+    // Group by priority
+    const byPriority = {
+      high: teacherHomeworks.filter(hw => hw.priority === 'high').length,
+      medium: teacherHomeworks.filter(hw => hw.priority === 'medium').length,
+      low: teacherHomeworks.filter(hw => hw.priority === 'low').length
+    };
+    
+    // Group by due date (this week, next week, later)
+    const now = new Date();
+    const oneWeekFromNow = new Date();
+    oneWeekFromNow.setDate(now.getDate() + 7);
+    
+    const byDueDate = {
+      overdue: teacherHomeworks.filter(hw => 
+        !hw.completed && new Date(hw.dueDate) < now
+      ).length,
+      thisWeek: teacherHomeworks.filter(hw => 
+        !hw.completed && 
+        new Date(hw.dueDate) >= now && 
+        new Date(hw.dueDate) <= oneWeekFromNow
+      ).length,
+      later: teacherHomeworks.filter(hw => 
+        !hw.completed && 
+        new Date(hw.dueDate) > oneWeekFromNow
+      ).length
+    };
+    
+    // Student completion: how many of the students each homework is set for
+    // marked it done, with class rosters deciding as they do for
+    // GET /api/homework/:id/completions
+    const teacherHomeworkIds = { homeworkId: { $in: teacherHomeworks.map(hw => hw.id) } };
+    const classIds = Array.from(new Set(teacherHomeworks.map(hw => hw.classId).filter(Boolean)));
+    const [students, completions, marks, classes] = await Promise.all([
+      storage.students.find(),
+      storage.completions.find(teacherHomeworkIds),
+      storage.marks.find(teacherHomeworkIds),
+      storage.classes.find({ id: { $in: classIds } })
+    ]);
+    const classById = new Map(classes.map(klass => [klass.id, klass]));
+    const completionKeys = new Set(completions.map(c => `${c.homeworkId}:${c.studentId}`));
+    const lateKeys = new Set(completions.filter(c => c.late).map(c => `${c.homeworkId}:${c.studentId}`));
+    
+    const studentCompletion = { assigned: 0, done: 0, late: 0 };
+    teacherHomeworks.forEach(hw => {
+      const klass = hw.classId && classById.get(hw.classId);
+      students.filter(student => isAssignedTo(hw, student, klass)).forEach(student => {
+        studentCompletion.assigned++;
+        if (completionKeys.has(`${hw.id}:${student.id}`)) studentCompletion.done++;
+        if (lateKeys.has(`${hw.id}:${student.id}`)) studentCompletion.late++;
+      });
+    });
+    
+    // Marks: average and distribution for each class the teacher has marked homework for
+    const homeworkById = new Map(teacherHomeworks.map(hw => [hw.id, hw]));
+    const marksByClass = new Map();
+    marks.forEach(mark => {
+      const hw = homeworkById.get(mark.homeworkId);
+      const key = hw.classId || hw.className || '';
+      if (!marksByClass.has(key)) {
+        marksByClass.set(key, { classId: hw.classId, className: hw.className || null, marks: [] });
+      }
+      marksByClass.get(key).marks.push(mark);
+    });
+    const marksSummary = {
+      ...markSummary(marks),
+      byClass: Array.from(marksByClass.values())
+        .map(({ marks: classMarks, ...klass }) => ({ ...klass, ...markSummary(classMarks) }))
+        .sort((a, b) => (a.className || '').localeCompare(b.className || ''))
+    };
+    
+    res.json({
+      success: true,
+      data: {
+        total,
+        completed,
+        pending,
+        completionRate: studentCompletion.assigned > 0
+          ? Math.round((studentCompletion.done / studentCompletion.assigned) * 100)
+          : 0,
+        studentCompletion,
+        marks: marksSummary,
+        bySubject,
+        byPriority,
+        byDueDate
+      }
+    });
+  } catch (error) {
+    console.error('Error getting statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch statistics',
+      code: 'STATS_ERROR'
+    });
+  }
+});
+
+// ==================
+// Export/Import
+// ==================
+
+/**
+ * @route GET /api/export
+ * @description Export homework as JSON, CSV or an Excel workbook (?format=json|csv|xlsx).
+ * Takes the GET /api/homework filters; ?scope=all exports everyone's homework
+ * instead of only the teacher's own.
+ */
+app.get('/api/export', requireTeacher, async (req, res) => {
+  try {
+    const { format = 'json', scope = 'mine' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    if (!['mine', 'all'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scope must be mine or all',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const query = scope === 'mine' ? { ...req.query, teacherEmail: req.session.teacherEmail } : req.query;
+    const homeworks = await filterHomeworks(query);
+    const filename = `homework-export-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'csv') {
+      // The byte order mark makes Excel read the file as UTF-8
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send('\uFEFF' + toCsv(exportRows(homeworks)));
+    }
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(buildXlsx({ sheetName: 'Homework', rows: exportRows(homeworks) }));
+    }
+    
+    res.setHeader('Content-Type', 'application/json');
+    res.send(JSON.stringify(await withRelations(homeworks), null, 2));
+  } catch (error) {
+    console.error('Error exporting homeworks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export homeworks',
+      code: 'EXPORT_ERROR'
     });
   }
+});
+
+/**
+ * Check each row of an import, each `{ body }` in the shape POST
+ * /api/homework takes or an `{ error }` from reading it. A row is invalid when
+ * it fails the checks for a new homework, or is due on a non-school day and
+ * the importer isn't an admin. A valid row is a likely duplicate when it
+ * matches a homework already in the planner or an earlier row (see
+ * duplicateKey). `firstLine` is the line number of the first row.
+ */
+async function reviewImport(rows, req, { firstLine }) {
+  const calendar = await termCalendar();
+  const homeworkOnDay = new Map();
+  const lineByKey = new Map();
+  const reviewed = [];
+
+  for (const [i, row] of rows.entries()) {
+    const { homework, error, errors } = row.error ? row : await homeworkFromBody(row.body, req.session);
+    const report = {
+      line: i + firstLine,
+      status: 'valid',
+      title: homework ? homework.title : String((row.body && row.body.title) || ''),
+      dueDate: homework ? homework.dueDate : null,
+      errors: [],
+      warnings: [],
+      duplicateOf: null,
+      body: row.body || null
+    };
+    reviewed.push(report);
+
+    const dayWarnings = homework ? termWarnings(calendar, [homework]) : [];
+    if (error || (dayWarnings.length && !req.session.isAdmin)) {
+      report.status = 'invalid';
+      report.errors = errors ? errors.map(e => e.message) : error ? [error] : dayWarnings;
+      continue;
+    }
+    report.warnings = dayWarnings;
+
+    const key = duplicateKey(homework);
+    const day = homework.dueDate.slice(0, 10);
+    if (!homeworkOnDay.has(day)) {
+      homeworkOnDay.set(day, await storage.homework.find({
+        dueDate: { $gte: `${day}T00:00:00.000Z`, $lte: `${day}T23:59:59.999Z` }
+      }));
+    }
+    const existing = homeworkOnDay.get(day).find(hw => duplicateKey(hw) === key);
+    if (existing) {
+      report.status = 'duplicate';
+      report.duplicateOf = {
+        id: existing.id,
+        title: existing.title,
+        dueDate: existing.dueDate,
+        teacherName: existing.teacherName || existing.teacherEmail || ''
+      };
+    } else if (lineByKey.has(key)) {
+      report.status = 'duplicate';
+      report.duplicateOf = { line: lineByKey.get(key) };
+    } else {
+      lineByKey.set(key, report.line);
+    }
+  }
+  return reviewed;
+}
+
+/**
+ * Import the chosen lines of a pending batch. The rows are checked again, as
+ * classes and the term calendar may have changed since the dry run. Resolves
+ * to `{ batch, warnings, workload }` once imported, `{ rejected }` with the
+ * lines that no longer pass, `{ overBudget, warnings, workload }` when the
+ * rows would take a year group over its budget and the importer isn't an
+ * admin, or `{ notPending }` when another request committed it first.
+ */
+async function commitImport(batch, lines, req) {
+  const calendar = await termCalendar();
+  const rejected = [];
+  const homeworks = [];
+  const dayWarnings = [];
+
+  for (const row of batch.rows.filter(r => lines.includes(r.line))) {
+    const { homework, error } = await homeworkFromBody(row.body, req.session);
+    const warnings = homework ? termWarnings(calendar, [homework]) : [];
+    if (error || (warnings.length && !req.session.isAdmin)) {
+      rejected.push({ line: row.line, error: error || warnings[0] });
+      continue;
+    }
+    dayWarnings.push(...warnings);
+    homeworks.push(homework);
+  }
+  if (rejected.length) {
+    return { rejected };
+  }
+
+  const workload = await workloadFor(homeworks);
+  const budgetWarningList = Array.from(new Set(workload.flatMap(budgetWarnings)));
+  if (budgetWarningList.length && !req.session.isAdmin) {
+    return { overBudget: true, warnings: budgetWarningList, workload };
+  }
+
+  // Claim the batch first, so two commits of the same dry run can't both import it
+  const now = new Date().toISOString();
+  let claimed = false;
+  const committed = await storage.imports.modify(batch.id, current => {
+    if (current.status !== 'pending') return current;
+    claimed = true;
+    return {
+      ...current,
+      status: 'committed',
+      committedAt: now,
+      committedBy: req.session.teacherEmail,
+      homeworkIds: homeworks.map(hw => hw.id)
+    };
+  });
+  if (!claimed) {
+    return { notPending: true };
+  }
+
+  try {
+    await storage.homework.insertMany(homeworks);
+  } catch (error) {
+    await storage.imports.update(batch.id, { ...committed, status: 'pending', committedAt: null, committedBy: null, homeworkIds: [] });
+    throw error;
+  }
+  await recordCreated(homeworks, actorFrom(req));
+  return { batch: committed, warnings: dayWarnings.concat(budgetWarningList), workload };
 }
 
 /**
- * Error handling middleware
+ * Remove dry runs that were never committed and can't be any more
  */
-function errorHandler(err, req, res, next) {
-  console.error('Error:', err);
-  
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({
+async function pruneImports() {
+  const removed = await storage.imports.removeWhere({
+    status: 'pending',
+    expiresAt: { $lte: new Date().toISOString() }
+  });
+  if (removed) {
+    console.log(`Removed ${removed} expired import dry runs`);
+  }
+}
+
+/**
+ * Send the outcome of committing a batch (see commitImport)
+ */
+function sendCommitResult(res, batch, result) {
+  if (result.notPending) {
+    return res.status(409).json({
       success: false,
-      error: 'File too large. Maximum size is 5MB.',
-      code: 'FILE_TOO_LARGE'
+      error: 'This import has already been committed or rolled back',
+      code: 'NOT_PENDING'
     });
   }
-  
-  if (err instanceof multer.MulterError) {
-    return res.status(400).json({
+  if (result.rejected) {
+    return res.status(409).json({
       success: false,
-      error: 'File upload error: ' + err.message,
-      code: 'UPLOAD_ERROR'
+      error: `Line ${result.rejected[0].line} can no longer be imported: ${result.rejected[0].error}`,
+      code: 'IMPORT_CHANGED',
+      errors: result.rejected,
+      data: publicImportBatch(batch)
     });
   }
-  
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    code: 'INTERNAL_ERROR',
-    details: process.env.NODE_ENV === 'development' ? err.message : undefined
+  if (result.overBudget) {
+    return res.status(422).json({
+      success: false,
+      error: result.warnings[0],
+      code: 'OVER_BUDGET',
+      warnings: result.warnings,
+      workload: result.workload,
+      data: publicImportBatch(batch)
+    });
+  }
+  const count = result.batch.homeworkIds.length;
+  res.json({
+    success: true,
+    message: `Imported ${count} of ${result.batch.rows.length} homeworks`,
+    count,
+    warnings: result.warnings,
+    data: publicImportBatch(result.batch)
   });
 }
 
-// Apply error handling middleware
-app.use(errorHandler);
-
-// ====================
-// Authentication Routes
-// ====================
-
 /**
- * @route GET /api/check-auth
- * @description Check if user is authenticated
+ * Review import rows and keep them as a batch. A dry run (`dryRun: true`)
+ * returns the report and leaves the batch pending; otherwise every valid row
+ * is imported straight away.
  */
-app.get('/api/check-auth', (req, res) => {
-  if (req.session && req.session.teacherEmail) {
-    res.json({ 
+async function runImport(req, res, { source, rows, firstLine }) {
+  const batch = importBatch({
+    id: uuidv4(),
+    source,
+    rows: await reviewImport(rows, req, { firstLine }),
+    createdBy: req.session.teacherEmail.toLowerCase()
+  });
+  await storage.imports.insert(batch);
+
+  const lines = defaultLines(batch);
+  if (req.body.dryRun || !lines.length) {
+    const { valid, invalid, duplicate } = publicImportBatch(batch).summary;
+    return res.json({
       success: true,
-      authenticated: true,
-      teacherEmail: req.session.teacherEmail,
-      teacherName: req.session.teacherName,
-      isAdmin: req.session.isAdmin || false
-    });
-  } else {
-    res.json({ 
-      success: true, 
-      authenticated: false 
+      message: `Checked ${batch.rows.length} rows: ${valid} ready to import, ${duplicate} likely duplicates, ${invalid} invalid`,
+      count: 0,
+      warnings: [],
+      data: publicImportBatch(batch)
     });
   }
-});
+  sendCommitResult(res, batch, await commitImport(batch, lines, req));
+}
 
 /**
- * @route POST /api/login
- * @description Teacher login
+ * @route POST /api/import
+ * @description Import homework from a JSON export ({ homework: [...], dryRun }).
+ * Responds with the import batch and a report of each item; `line` is the
+ * item's position in the list.
  */
-app.post('/api/login', (req, res) => {
+app.post('/api/import', requireTeacher, async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const teachers = loadTeacherLogins();
-    const teacher = teachers.get(email.toLowerCase());
-
-    if (!teacher || teacher.password !== password) {
-      return res.status(401).json({
+    const { homework } = req.body;
+    if (!Array.isArray(homework) || !homework.length) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
+        error: 'Invalid format. Expected { homework: [...] } with at least one homework.',
+        code: 'INVALID_FORMAT'
+      });
+    }
+    if (homework.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `An import can have at most ${MAX_IMPORT_ROWS} homeworks`,
+        code: 'VALIDATION_ERROR'
       });
     }
 
-    // Set session
-    req.session.teacherEmail = teacher.email;
-    req.session.teacherName = teacher.name;
-    req.session.isAdmin = teacher.isAdmin || false;
-
-    res.json({
-      success: true,
-      teacherEmail: teacher.email,
-      teacherName: teacher.name,
-      isAdmin: req.session.isAdmin
-    });
+    await runImport(req, res, { source: 'json', rows: homework.map(itemToHomework), firstLine: 1 });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Error importing homeworks:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error during login',
-      code: 'LOGIN_ERROR'
+      error: 'Failed to import homeworks',
+      code: 'IMPORT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * @route POST /api/logout
- * @description Teacher logout
+ * Read the CSV import body shared by the preview and import routes; sends a
+ * 400 and resolves to null when the file can't be imported
  */
-app.post('/api/logout', (req, res) => {
-  req.session.destroy(err => {
-    if (err) {
-      console.error('Error destroying session:', err);
-      return res.status(500).json({
-        success: false,
-        error: 'Error logging out',
-        code: 'LOGOUT_ERROR'
-      });
-    }
-    res.clearCookie('homework.sid');
-    res.json({ success: true });
-  });
-});
-
-// ==================
-// Homework Routes
-// ==================
+function readImportBody(req, res) {
+  const file = readImportCsv(req.body.csv);
+  if (file.error) {
+    res.status(400).json({
+      success: false,
+      error: file.error,
+      code: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+  return file;
+}
 
 /**
- * @route GET /api/homework
- * @description Get all homeworks with optional filtering
- */
-app.get('/api/homework', (req, res) => {
-  try {
-    let homeworks = loadHomeworks();
-    const { 
-      search, 
-      subject, 
-      status, 
-      priority, 
-      tag, 
-      from, 
-      to,
-      yearGroup,
-      teacherEmail,
-      limit = 50,
-      page = 1
-    } = req.query;
-
-    // Apply filters
-    if (search) {
-      const searchLower = search.toLowerCase();
-      homeworks = homeworks.filter(hw => 
-        (hw.title && hw.title.toLowerCase().includes(searchLower)) ||
-        (hw.description && hw.description.toLowerCase().includes(searchLower)) ||
-        (hw.subject && hw.subject.toLowerCase().includes(searchLower))
-      );
-    }
-
-    if (subject) {
-      homeworks = homeworks.filter(hw => 
-        hw.subject && hw.subject.toLowerCase() === subject.toLowerCase()
-      );
-    }
-
-    if (status) {
-      const isCompleted = status.toLowerCase() === 'completed';
-      homeworks = homeworks.filter(hw => hw.completed === isCompleted);
-    }
-
-    if (priority) {
-      homeworks = homeworks.filter(hw => 
-        hw.priority && hw.priority.toLowerCase() === priority.toLowerCase()
-      );
-    }
-
-    if (tag) {
-      const tags = Array.isArray(tag) ? tag : [tag];
-      homeworks = homeworks.filter(hw => 
-        hw.tags && tags.some(t => hw.tags.includes(t))
-      );
-    }
-
-    if (from) {
-      const fromDate = new Date(from);
-      homeworks = homeworks.filter(hw => 
-        hw.dueDate && new Date(hw.dueDate) >= fromDate
-      );
-    }
-
-    if (to) {
-      const toDate = new Date(to);
-      toDate.setHours(23, 59, 59, 999); // End of day
-      homeworks = homeworks.filter(hw => 
-        hw.dueDate && new Date(hw.dueDate) <= toDate
-      );
-    }
-
-    if (yearGroup) {
-      homeworks = homeworks.filter(hw => 
-        hw.yearGroup && hw.yearGroup.toString() === yearGroup.toString()
-      );
-    }
+ * @route POST /api/import/csv/preview
+ * @description Read a spreadsheet saved as CSV ({ csv, mapping? }) ahead of an import:
+ * its columns, the suggested (or given) column mapping, the date formats the
+ * due dates could be in, sample rows, and the year group and class values
+ * found with the year group or class each looks like
+ */
+app.post('/api/import/csv/preview', requireTeacher, async (req, res) => {
+  try {
+    const file = readImportBody(req, res);
+    if (!file) return;
 
-    if (teacherEmail) {
-      homeworks = homeworks.filter(hw => 
-        hw.teacherEmail && hw.teacherEmail.toLowerCase() === teacherEmail.toLowerCase()
-      );
+    const mapping = req.body.mapping || suggestMapping(file.headers);
+    if (req.body.mapping) {
+      const mappingError = validateMapping(mapping, file.headers);
+      if (mappingError) {
+        return res.status(400).json({
+          success: false,
+          error: mappingError,
+          code: 'VALIDATION_ERROR'
+        });
+      }
     }
 
-    // Sort by due date (ascending)
-    homeworks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
-
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedHomeworks = homeworks.slice(startIndex, endIndex);
-
+    const classes = await storage.classes.find();
     res.json({
       success: true,
-      data: paginatedHomeworks,
-      pagination: {
-        total: homeworks.length,
-        page: parseInt(page),
-        totalPages: Math.ceil(homeworks.length / limit),
-        hasNext: endIndex < homeworks.length,
-        hasPrevious: startIndex > 0
+      data: {
+        headers: file.headers,
+        rowCount: file.rows.length,
+        sample: file.rows.slice(0, 5),
+        fields: Object.keys(IMPORT_FIELDS),
+        mapping,
+        dateFormats: Object.keys(DATE_FORMATS),
+        detectedDateFormats: mapping.dueDate ? detectDateFormats(file.rows.map(row => row[mapping.dueDate])) : [],
+        values: valueSuggestions(file.rows, mapping, classes)
       }
     });
   } catch (error) {
-    console.error('Error getting homeworks:', error);
+    console.error('Error previewing import:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch homeworks',
-      code: 'FETCH_ERROR'
+      error: 'Failed to read the import file',
+      code: 'IMPORT_ERROR'
     });
   }
 });
 
 /**
- * @route GET /api/homework/:id
- * @description Get a single homework by ID
+ * @route POST /api/import/csv
+ * @description Import homework from a spreadsheet saved as CSV. Takes { csv, mapping,
+ * dateFormat, values, dryRun }: `mapping` names the column for each field,
+ * `dateFormat` is how due dates are written, and `values` maps year group and
+ * class cells ({ yearGroup: { "Year 9": "9" }, class: { "9 Maths set 1": classId } }).
+ * Responds with the import batch and a report of each line.
  */
-app.get('/api/homework/:id', (req, res) => {
+app.post('/api/import/csv', requireTeacher, async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const homework = homeworks.find(h => h.id === req.params.id);
-    
-    if (!homework) {
-      return res.status(404).json({
+    const file = readImportBody(req, res);
+    if (!file) return;
+
+    const { mapping, dateFormat, values } = req.body;
+    const mappingError = validateMapping(mapping, file.headers) ||
+      (!Object.keys(DATE_FORMATS).includes(dateFormat) ? `dateFormat must be one of: ${Object.keys(DATE_FORMATS).join(', ')}` : null);
+    if (mappingError) {
+      return res.status(400).json({
         success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+        error: mappingError,
+        code: 'VALIDATION_ERROR'
       });
     }
-    
-    res.json({ success: true, data: homework });
+
+    const rows = file.rows.map(row => rowToHomework(row, { mapping, dateFormat, values: values || {} }));
+    await runImport(req, res, { source: 'csv', rows, firstLine: 2 });
   } catch (error) {
-    console.error('Error getting homework:', error);
+    console.error('Error importing CSV:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch homework',
-      code: 'FETCH_ERROR'
+      error: 'Failed to import homeworks',
+      code: 'IMPORT_ERROR'
     });
   }
 });
 
 /**
- * @route POST /api/homework
- * @description Create a new homework
+ * Load the import batch in :id for its creator or an admin
  */
-app.post('/api/homework', requireTeacher, (req, res) => {
+async function loadImportBatch(req, res, next) {
   try {
-    const homeworks = loadHomeworks();
-    const {
-      title,
-      subject,
-      description,
-      dueDate,
-      priority = 'medium',
-      tags = [],
-      isRecurring = false,
-      recurrence = { type: 'none', interval: 1, daysOfWeek: [] },
-      yearGroup,
-      className
-    } = req.body;
-
-    if (!title || !subject || !dueDate) {
-      return res.status(400).json({
+    const batch = await storage.imports.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({
         success: false,
-        error: 'Title, subject, and due date are required',
-        code: 'VALIDATION_ERROR'
+        error: 'Import not found',
+        code: 'NOT_FOUND'
       });
     }
-
-    const newHomework = {
-      id: uuidv4(),
-      title,
-      subject,
-      description: description || '',
-      dueDate: new Date(dueDate).toISOString(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      completed: false,
-      priority,
-      tags: Array.isArray(tags) ? tags : [],
-      attachments: [],
-      teacherEmail: req.session.teacherEmail,
-      teacherName: req.session.teacherName,
-      yearGroup: yearGroup || null,
-      className: className || null,
-      isRecurring,
-      recurrence: isRecurring ? {
-        type: recurrence.type || 'none',
-        interval: Math.max(1, parseInt(recurrence.interval) || 1),
-        daysOfWeek: Array.isArray(recurrence.daysOfWeek) ? 
-          recurrence.daysOfWeek.map(Number).filter(d => d >= 0 && d <= 6) : []
-      } : { type: 'none', interval: 1, daysOfWeek: [] },
-      nextOccurrence: null,
-      parentId: null,
-      comments: []
-    };
-
-    // Handle recurring homework
-    if (isRecurring) {
-      const createdHomeworks = [newHomework];
-      
-      // Generate occurrences based on recurrence pattern
-      if (recurrence.type === 'daily' || recurrence.type === 'weekly') {
-        const occurrences = 4; // Default number of occurrences
-        const interval = recurrence.interval || 1;
-        let currentDate = new Date(dueDate);
-        
-        for (let i = 1; i < occurrences; i++) {
-          currentDate = new Date(currentDate);
-          
-          if (recurrence.type === 'daily') {
-            currentDate.setDate(currentDate.getDate() + interval);
-          } else if (recurrence.type === 'weekly') {
-            // Find next valid day of week
-            if (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
-              const currentDay = currentDate.getDay();
-              const nextDay = recurrence.daysOfWeek.find(d => d > currentDay) || 
-                             recurrence.daysOfWeek[0] + 7;
-              const daysToAdd = nextDay - currentDay + (nextDay <= currentDay ? 7 : 0);
-              currentDate.setDate(currentDate.getDate() + daysToAdd);
-            } else {
-              currentDate.setDate(currentDate.getDate() + (7 * interval));
-            }
-          }
-          
-          const occurrence = {
-            ...newHomework,
-            id: uuidv4(),
-            dueDate: currentDate.toISOString(),
-            parentId: newHomework.id,
-            nextOccurrence: null
-          };
-          
-          createdHomeworks.push(occurrence);
-        }
-        
-        // Update next occurrence for the first item
-        if (createdHomeworks.length > 1) {
-          createdHomeworks[0].nextOccurrence = createdHomeworks[1].dueDate;
-        }
-      }
-      
-      // Save all created homeworks
-      homeworks.push(...createdHomeworks);
-    } else {
-      homeworks.push(newHomework);
-    }
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to save homework');
+    if (req.session.role !== 'admin' && batch.createdBy !== req.session.teacherEmail.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this import',
+        code: 'PERMISSION_DENIED'
+      });
     }
-    
-    res.status(201).json({
-      success: true,
-      message: 'Homework created successfully',
-      data: newHomework
-    });
+    req.importBatch = batch;
+    next();
   } catch (error) {
-    console.error('Error creating homework:', error);
+    console.error('Error loading import:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create homework',
-      code: 'CREATE_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: 'Failed to fetch import',
+      code: 'FETCH_ERROR'
     });
   }
-});
+}
 
 /**
- * @route PUT /api/homework/:id
- * @description Update a homework
+ * @route GET /api/imports
+ * @description The signed-in teacher's imports, newest first (?status=pending|committed|rolledBack)
  */
-app.put('/api/homework/:id', requireTeacher, checkHomeworkPermission, (req, res) => {
+app.get('/api/imports', requireTeacher, async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const index = homeworks.findIndex(h => h.id === req.params.id);
-    
-    if (index === -1) {
-      return res.status(404).json({
+    const { status } = req.query;
+    if (status && !BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+        error: `status must be one of: ${BATCH_STATUSES.join(', ')}`,
+        code: 'VALIDATION_ERROR'
       });
     }
-    
-    const updatedHomework = {
-      ...homeworks[index],
-      ...req.body,
-      id: req.params.id, // Prevent ID change
-      updatedAt: new Date().toISOString()
-    };
-    
-    homeworks[index] = updatedHomework;
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to update homework');
-    }
-    
+
+    const where = { createdBy: req.session.teacherEmail.toLowerCase() };
+    if (status) where.status = status;
+    const batches = await storage.imports.find(where, { sort: 'createdAt' });
     res.json({
       success: true,
-      message: 'Homework updated successfully',
-      data: updatedHomework
+      data: batches.reverse().map(batch => publicImportBatch(batch, { withRows: false }))
     });
   } catch (error) {
-    console.error('Error updating homework:', error);
+    console.error('Error getting imports:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update homework',
-      code: 'UPDATE_ERROR'
+      error: 'Failed to fetch imports',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
 /**
- * @route DELETE /api/homework/:id
- * @description Delete a homework
+ * @route GET /api/imports/:id
+ * @description An import with its report of each line
+ */
+app.get('/api/imports/:id', requireTeacher, loadImportBatch, (req, res) => {
+  res.json({ success: true, data: publicImportBatch(req.importBatch) });
+});
+
+/**
+ * @route POST /api/imports/:id/commit
+ * @description Import the rows of a dry run. Takes { lines }, the lines to import;
+ * without it every valid line is imported. Likely duplicates are only imported
+ * when their lines are given.
  */
-app.delete('/api/homework/:id', requireTeacher, checkHomeworkPermission, (req, res) => {
+app.post('/api/imports/:id/commit', requireTeacher, loadImportBatch, async (req, res) => {
   try {
-    let homeworks = loadHomeworks();
-    const index = homeworks.findIndex(h => h.id === req.params.id);
-    
-    if (index === -1) {
-      return res.status(404).json({
+    const batch = req.importBatch;
+    if (batch.status !== 'pending') {
+      return res.status(409).json({
         success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+        error: 'This import has already been committed or rolled back',
+        code: 'NOT_PENDING'
       });
     }
-    
-    // If it's a recurring homework, delete all occurrences
-    const homeworkToDelete = homeworks[index];
-    if (homeworkToDelete.isRecurring) {
-      homeworks = homeworks.filter(h => 
-        h.id !== req.params.id && h.parentId !== homeworkToDelete.parentId
-      );
-    } else {
-      homeworks = homeworks.filter(h => h.id !== req.params.id);
+    if (batch.expiresAt < new Date().toISOString()) {
+      return res.status(409).json({
+        success: false,
+        error: 'This dry run has expired. Check the file again to import it.',
+        code: 'IMPORT_EXPIRED'
+      });
     }
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to delete homework');
+
+    const lines = req.body.lines === undefined ? defaultLines(batch) : req.body.lines;
+    const linesError = validateLines(batch, lines);
+    if (linesError) {
+      return res.status(400).json({
+        success: false,
+        error: linesError,
+        code: 'VALIDATION_ERROR'
+      });
     }
-    
-    res.json({
-      success: true,
-      message: 'Homework deleted successfully'
-    });
+
+    sendCommitResult(res, batch, await commitImport(batch, lines, req));
   } catch (error) {
-    console.error('Error deleting homework:', error);
+    console.error('Error committing import:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete homework',
-      code: 'DELETE_ERROR'
+      error: 'Failed to import homeworks',
+      code: 'IMPORT_ERROR'
     });
   }
 });
 
 /**
- * @route POST /api/homework/:id/complete
- * @description Toggle homework completion status
+ * @route POST /api/imports/:id/rollback
+ * @description Undo a committed import: every homework it created that still
+ * exists moves to the trash, where it can be restored
  */
-app.post('/api/homework/:id/complete', requireTeacher, checkHomeworkPermission, (req, res) => {
+app.post('/api/imports/:id/rollback', requireTeacher, loadImportBatch, async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const index = homeworks.findIndex(h => h.id === req.params.id);
-    
-    if (index === -1) {
-      return res.status(404).json({
+    let claimed = false;
+    const batch = await storage.imports.modify(req.importBatch.id, current => {
+      if (current.status !== 'committed') return current;
+      claimed = true;
+      return {
+        ...current,
+        status: 'rolledBack',
+        rolledBackAt: new Date().toISOString(),
+        rolledBackBy: req.session.teacherEmail
+      };
+    });
+    if (!claimed) {
+      return res.status(409).json({
         success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+        error: 'Only a committed import can be rolled back',
+        code: 'NOT_COMMITTED'
       });
     }
-    
-    const updatedHomework = {
-      ...homeworks[index],
-      completed: !homeworks[index].completed,
-      updatedAt: new Date().toISOString()
-    };
-    
-    homeworks[index] = updatedHomework;
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to update homework status');
-    }
-    
+
+    const present = await storage.homework.find({ id: { $in: batch.homeworkIds } });
+    const removed = await removeHomeworks(present.map(hw => hw.id), { actor: actorFrom(req) });
+
     res.json({
       success: true,
-      message: `Homework marked as ${updatedHomework.completed ? 'completed' : 'incomplete'}`,
-      data: updatedHomework
+      message: `Import rolled back: ${removed} homeworks moved to the trash`,
+      removed,
+      alreadyDeleted: batch.homeworkIds.length - removed,
+      data: publicImportBatch(batch)
     });
   } catch (error) {
-    console.error('Error toggling homework status:', error);
+    console.error('Error rolling back import:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update homework status',
-      code: 'UPDATE_ERROR'
+      error: 'Failed to roll back import',
+      code: 'ROLLBACK_ERROR'
     });
   }
 });
 
 // ==================
-// Bulk Operations
+// Email Subscriptions
 // ==================
 
+// Ask again for confirmation no more often than this, so the form can't be
+// used to flood someone's inbox
+const CONFIRM_RESEND_MS = 10 * 60 * 1000;
+
 /**
- * @route POST /api/homework/bulk-delete
- * @description Delete multiple homeworks
+ * @route POST /api/subscriptions
+ * @description Sign up for homework digest emails: { email, yearGroups: ["9"], classIds: [...] }.
+ * Sends a confirmation link; nothing is emailed until it's followed. The response
+ * is the same whether or not the address was already subscribed.
  */
-app.post('/api/homework/bulk-delete', requireTeacher, (req, res) => {
+app.post('/api/subscriptions', async (req, res) => {
   try {
-    const { ids } = req.body;
-    
-    if (!Array.isArray(ids) || ids.length === 0) {
+    const email = normalizeEmail(req.body.email);
+    if (!isValidEmail(email)) {
       return res.status(400).json({
         success: false,
-        error: 'No homework IDs provided',
+        error: 'A valid email address is required',
         code: 'VALIDATION_ERROR'
       });
     }
     
-    let homeworks = loadHomeworks();
-    const initialCount = homeworks.length;
-    
-    // Only allow deleting homeworks owned by the teacher
-    homeworks = homeworks.filter(hw => 
-      !ids.includes(hw.id) || 
-      hw.teacherEmail !== req.session.teacherEmail
-    );
-    
-    const deletedCount = initialCount - homeworks.length;
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to delete homeworks');
+    const { groups, error } = requestedGroups(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'VALIDATION_ERROR'
+      });
     }
     
-    res.json({
-      success: true,
-      message: `Successfully deleted ${deletedCount} homeworks`,
-      count: deletedCount
-    });
-  } catch (error) {
-    console.error('Error in bulk delete:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete homeworks',
-      code: 'BULK_DELETE_ERROR'
-    });
-  }
-});
-
-/**
- * @route POST /api/homework/bulk-update
- * @description Update multiple homeworks
- */
-app.post('/api/homework/bulk-update', requireTeacher, (req, res) => {
-  try {
-    const { ids, updates } = req.body;
-    
-    if (!Array.isArray(ids) || ids.length === 0 || !updates || typeof updates !== 'object') {
+    const classes = await storage.classes.find({ id: { $in: groups.filter(g => g.classId).map(g => g.classId) } });
+    if (classes.length !== groups.filter(g => g.classId).length) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid request data',
+        error: 'Class not found',
         code: 'VALIDATION_ERROR'
       });
     }
     
-    const homeworks = loadHomeworks();
-    let updatedCount = 0;
+    const existing = await storage.subscriptions.find({ email });
+    const now = new Date();
+    const token = generateConfirmToken();
+    const pending = {
+      status: 'pending',
+      confirmTokenHash: hashConfirmToken(token),
+      confirmExpiresAt: confirmExpiry(now),
+      confirmRequestedAt: now.toISOString()
+    };
     
-    const updatedHomeworks = homeworks.map(hw => {
-      if (ids.includes(hw.id) && hw.teacherEmail === req.session.teacherEmail) {
-        updatedCount++;
-        return {
-          ...hw,
-          ...updates,
-          updatedAt: new Date().toISOString()
-        };
+    const toConfirm = [];
+    for (const group of groups) {
+      const sub = existing.find(record => isForGroup(record, group));
+      if (sub && sub.status === 'confirmed') continue;
+      if (sub && sub.status === 'pending' && now - new Date(sub.confirmRequestedAt) < CONFIRM_RESEND_MS) continue;
+      
+      if (sub) {
+        await storage.subscriptions.update(sub.id, { ...sub, ...pending, unsubscribedAt: null });
+      } else {
+        await storage.subscriptions.insert({
+          id: uuidv4(),
+          email,
+          ...group,
+          source: 'self',
+          createdAt: now.toISOString(),
+          ...pending
+        });
       }
-      return hw;
-    });
-    
-    if (updatedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'No matching homeworks found or no permission',
-        code: 'NOT_FOUND'
-      });
+      toConfirm.push(group);
     }
     
-    if (!saveHomeworks(updatedHomeworks)) {
-      throw new Error('Failed to update homeworks');
+    if (toConfirm.length) {
+      const classCodes = new Map(classes.map(klass => [klass.id, klass.code]));
+      await queueEmail(email, confirmationEmail({
+        groupLabels: toConfirm.map(group => groupLabel(group, classCodes)),
+        confirmUrl: `${PUBLIC_URL}/api/subscriptions/confirm?token=${encodeURIComponent(token)}`
+      }), { kind: 'confirmation' });
+      kickOutbox();
     }
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Successfully updated ${updatedCount} homeworks`,
-      count: updatedCount
+      message: 'Check your email for a link to confirm your subscription'
     });
   } catch (error) {
-    console.error('Error in bulk update:', error);
+    console.error('Error subscribing:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update homeworks',
-      code: 'BULK_UPDATE_ERROR'
+      error: 'Failed to subscribe',
+      code: 'SUBSCRIBE_ERROR'
     });
   }
 });
 
-// ==================
-// Comments & Notes
-// ==================
-
 /**
- * @route GET /api/homework/:id/comments
- * @description Get comments for a homework
+ * @route GET /api/subscriptions/confirm
+ * @description Confirmation link from the sign-up email (?token=); redirects to the planner
  */
-app.get('/api/homework/:id/comments', requireTeacher, (req, res) => {
+app.get('/api/subscriptions/confirm', async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const homework = homeworks.find(h => h.id === req.params.id);
+    const now = new Date().toISOString();
+    const subs = (await storage.subscriptions.find({ confirmTokenHash: hashConfirmToken(req.query.token) }))
+      .filter(sub => sub.status === 'pending' && sub.confirmExpiresAt > now);
     
-    if (!homework) {
-      return res.status(404).json({
-        success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+    for (const sub of subs) {
+      await storage.subscriptions.update(sub.id, {
+        ...sub,
+        status: 'confirmed',
+        confirmedAt: now,
+        confirmTokenHash: null,
+        confirmExpiresAt: null
       });
     }
     
-    res.json({
-      success: true,
-      data: homework.comments || []
-    });
+    res.redirect(`/?subscription=${subs.length ? 'confirmed' : 'invalid'}`);
   } catch (error) {
-    console.error('Error getting comments:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch comments',
-      code: 'FETCH_ERROR'
+    console.error('Error confirming subscription:', error);
+    res.redirect('/?subscription=error');
+  }
+});
+
+/**
+ * Unsubscribe the address a signed token is for from every group. Resolves to
+ * false when the token isn't valid.
+ */
+async function unsubscribe(token) {
+  const email = verifyUnsubscribe(token, await subscriptionKey());
+  if (!email) return false;
+  
+  const now = new Date().toISOString();
+  const subs = (await storage.subscriptions.find({ email })).filter(sub => sub.status !== 'unsubscribed');
+  for (const sub of subs) {
+    await storage.subscriptions.update(sub.id, {
+      ...sub,
+      status: 'unsubscribed',
+      unsubscribedAt: now,
+      confirmTokenHash: null,
+      confirmExpiresAt: null
     });
   }
+  return true;
+}
+
+/**
+ * @route GET /api/subscriptions/unsubscribe
+ * @description One-click unsubscribe link from a digest email (?token=); redirects to the planner
+ */
+app.get('/api/subscriptions/unsubscribe', async (req, res) => {
+  try {
+    const done = await unsubscribe(req.query.token);
+    res.redirect(`/?subscription=${done ? 'unsubscribed' : 'invalid'}`);
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.redirect('/?subscription=error');
+  }
 });
 
 /**
- * @route POST /api/homework/:id/comments
- * @description Add a comment to a homework
+ * @route POST /api/subscriptions/unsubscribe
+ * @description One-click unsubscribe from a mail app's List-Unsubscribe button (RFC 8058)
  */
-app.post('/api/homework/:id/comments', requireTeacher, (req, res) => {
+app.post('/api/subscriptions/unsubscribe', async (req, res) => {
   try {
-    const { content } = req.body;
-    
-    if (!content || typeof content !== 'string' || content.trim() === '') {
+    if (!await unsubscribe(req.query.token)) {
       return res.status(400).json({
         success: false,
-        error: 'Comment content is required',
-        code: 'VALIDATION_ERROR'
-      });
-    }
-    
-    const homeworks = loadHomeworks();
-    const index = homeworks.findIndex(h => h.id === req.params.id);
-    
-    if (index === -1) {
-      return res.status(404).json({
-        success: false,
-        error: 'Homework not found',
-        code: 'NOT_FOUND'
+        error: 'This unsubscribe link is not valid',
+        code: 'INVALID_TOKEN'
       });
     }
-    
-    const newComment = {
-      id: uuidv4(),
-      content: content.trim(),
-      author: req.session.teacherEmail,
-      authorName: req.session.teacherName,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    if (!homeworks[index].comments) {
-      homeworks[index].comments = [];
-    }
-    
-    homeworks[index].comments.push(newComment);
-    homeworks[index].updatedAt = new Date().toISOString();
-    
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to save comment');
-    }
-    
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Comment added successfully',
-      data: newComment
+      message: 'Unsubscribed from homework emails'
     });
   } catch (error) {
-    console.error('Error adding comment:', error);
+    console.error('Error unsubscribing:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to add comment',
-      code: 'CREATE_ERROR'
+      error: 'Failed to unsubscribe',
+      code: 'UNSUBSCRIBE_ERROR'
     });
   }
 });
 
 // ==================
-// File Attachments
+// Digest Emails
 // ==================
 
 /**
- * @route POST /api/homework/:id/attachments
- * @description Upload a file attachment for a homework
+ * A digest run as listed by the admin endpoints
  */
-app.post(
-  '/api/homework/:id/attachments',
-  requireTeacher,
-  upload.single('file'),
-  (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          error: 'No file uploaded',
-          code: 'NO_FILE'
-        });
-      }
-      
-      const homeworks = loadHomeworks();
-      const index = homeworks.findIndex(h => h.id === req.params.id);
-      
-      if (index === -1) {
-        // Clean up the uploaded file if homework not found
-        fs.unlinkSync(req.file.path);
-        
-        return res.status(404).json({
-          success: false,
-          error: 'Homework not found',
-          code: 'NOT_FOUND'
-        });
-      }
-      
-      const attachment = {
-        id: uuidv4(),
-        filename: req.file.originalname,
-        path: `/uploads/${req.file.filename}`,
-        mimeType: req.file.mimetype,
-        size: req.file.size,
-        uploadedBy: req.session.teacherEmail,
-        uploadedAt: new Date().toISOString()
-      };
-      
-      if (!homeworks[index].attachments) {
-        homeworks[index].attachments = [];
-      }
-      
-      homeworks[index].attachments.push(attachment);
-      homeworks[index].updatedAt = new Date().toISOString();
-      
-      if (!saveHomeworks(homeworks)) {
-        // Clean up the uploaded file if save fails
-        fs.unlinkSync(req.file.path);
-        throw new Error('Failed to save attachment');
-      }
-      
-      res.status(201).json({
-        success: true,
-        message: 'File uploaded successfully',
-        data: attachment
-      });
-    } catch (error) {
-      console.error('Error uploading file:', error);
-      
-      // Clean up the uploaded file if there was an error
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      
-      res.status(500).json({
-        success: false,
-        error: 'Failed to upload file',
-        code: 'UPLOAD_ERROR',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+function publicDigestRun(run) {
+  return run && {
+    id: run.id,
+    jobId: run.jobId,
+    scheduledFor: run.scheduledFor,
+    manual: run.manual,
+    window: run.window,
+    status: run.status,
+    error: run.error || null,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    sent: run.sent,
+    failed: run.failed,
+    queued: run.queued || 0,
+    recipients: run.recipients
+  };
+}
+
+/**
+ * @route GET /api/admin/digests
+ * @description The digest jobs, with when each last ran and what it sent, and when it runs next
+ */
+app.get('/api/admin/digests', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const { jobs } = await digestSettings();
+    const data = [];
+    for (const job of jobs) {
+      const runs = await storage.digestRuns.find({ jobId: job.id }, { sort: 'scheduledFor' });
+      const next = job.enabled && nextScheduledTime(job);
+      data.push({
+        ...job,
+        lastRun: publicDigestRun(runs[runs.length - 1]) || null,
+        nextRunAt: next ? next.toISOString() : null
       });
     }
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting digest jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch digest jobs',
+      code: 'FETCH_ERROR'
+    });
   }
-);
+});
 
 /**
- * @route DELETE /api/homework/:homeworkId/attachments/:attachmentId
- * @description Delete a file attachment
+ * @route PUT /api/admin/digests
+ * @description Replace the digest jobs: { jobs: [{ id, name, days, time, windowStart, windowDays, enabled }] }.
+ * days are weekdays (0 = Sunday), time is HH:MM in the server's time zone, and
+ * the window is counted in days from the day the job runs.
  */
-app.delete(
-  '/api/homework/:homeworkId/attachments/:attachmentId',
-  requireTeacher,
-  (req, res) => {
-    try {
-      const { homeworkId, attachmentId } = req.params;
-      
-      const homeworks = loadHomeworks();
-      const index = homeworks.findIndex(h => h.id === homeworkId);
-      
-      if (index === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'Homework not found',
-          code: 'NOT_FOUND'
-        });
-      }
-      
-      if (!homeworks[index].attachments || !Array.isArray(homeworks[index].attachments)) {
-        return res.status(404).json({
-          success: false,
-          error: 'No attachments found',
-          code: 'NOT_FOUND'
-        });
-      }
-      
-      const attachmentIndex = homeworks[index].attachments.findIndex(
-        a => a.id === attachmentId
-      );
-      
-      if (attachmentIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          error: 'Attachment not found',
-          code: 'NOT_FOUND'
-        });
-      }
-      
-      // Get the file path before removing the attachment
-      const filePath = path.join(__dirname, homeworks[index].attachments[attachmentIndex].path);
-      
-      // Remove the attachment from the array
-      homeworks[index].attachments.splice(attachmentIndex, 1);
-      homeworks[index].updatedAt = new Date().toISOString();
-      
-      if (!saveHomeworks(homeworks)) {
-        throw new Error('Failed to update homework');
-      }
-      
-      // Delete the actual file
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-      
-      res.json({
-        success: true,
-        message: 'Attachment deleted successfully'
-      });
-    } catch (error) {
-      console.error('Error deleting attachment:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to delete attachment',
-        code: 'DELETE_ERROR'
+app.put('/api/admin/digests', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const fieldError = validateJobs(req.body.jobs);
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldError,
+        code: 'VALIDATION_ERROR'
       });
     }
+    
+    const settings = {
+      id: DIGEST_SETTINGS_ID,
+      jobs: req.body.jobs.map(normalizeJob),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.teacherEmail
+    };
+    const updated = await storage.settings.update(settings.id, settings) ||
+      await storage.settings.insert(settings);
+    
+    res.json({
+      success: true,
+      message: 'Digest jobs updated successfully',
+      data: updated.jobs
+    });
+  } catch (error) {
+    console.error('Error updating digest jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update digest jobs',
+      code: 'UPDATE_ERROR'
+    });
   }
-);
-
-// ==================
-// Templates
-// ==================
+});
 
 /**
- * @route GET /api/templates
- * @description Get all homework templates
+ * @route GET /api/admin/digests/runs
+ * @description Past digest runs, newest first (?jobId= for one job, ?limit= up to 100)
  */
-app.get('/api/templates', requireTeacher, (req, res) => {
+app.get('/api/admin/digests/runs', requireTeacher, requireRole('admin'), async (req, res) => {
   try {
-    const templates = loadTemplates();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const where = req.query.jobId ? { jobId: req.query.jobId } : {};
+    const runs = await storage.digestRuns.find(where, { sort: 'scheduledFor' });
+    
     res.json({
       success: true,
-      data: templates
+      data: runs.reverse().slice(0, limit).map(publicDigestRun)
     });
   } catch (error) {
-    console.error('Error getting templates:', error);
+    console.error('Error getting digest runs:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch templates',
+      error: 'Failed to fetch digest runs',
       code: 'FETCH_ERROR'
     });
   }
 });
 
 /**
- * @route POST /api/templates
- * @description Create a new homework template
+ * @route POST /api/admin/digests/:jobId/run
+ * @description Run a digest job now, as if it were scheduled for this moment
  */
-app.post('/api/templates', requireTeacher, (req, res) => {
+app.post('/api/admin/digests/:jobId/run', requireTeacher, requireRole('admin'), async (req, res) => {
   try {
-    const { title, subject, description, tags = [] } = req.body;
-    
-    if (!title || !subject) {
-      return res.status(400).json({
+    const { jobs } = await digestSettings();
+    const job = jobs.find(j => j.id === req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        error: 'Title and subject are required',
-        code: 'VALIDATION_ERROR'
+        error: 'Digest job not found',
+        code: 'NOT_FOUND'
       });
     }
     
-    const templates = loadTemplates();
-    const newTemplate = {
-      id: uuidv4(),
-      title,
-      subject,
-      description: description || '',
-      tags: Array.isArray(tags) ? tags : [],
-      createdAt: new Date().toISOString(),
-      createdBy: req.session.teacherEmail,
-      updatedAt: new Date().toISOString()
-    };
-    
-    templates.push(newTemplate);
-    saveTemplates(templates);
-    
-    res.status(201).json({
+    const run = await runDigestJob(job, new Date(), { manual: true });
+    res.json({
       success: true,
-      message: 'Template created successfully',
-      data: newTemplate
+      message: `Queued ${run.recipients.length} digests`,
+      data: publicDigestRun(run)
     });
   } catch (error) {
-    console.error('Error creating template:', error);
+    console.error('Error running digest job:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create template',
-      code: 'CREATE_ERROR'
+      error: 'Failed to run digest job',
+      code: 'DIGEST_ERROR'
     });
   }
 });
 
-// ==================
-// Statistics
-// ==================
-
 /**
- * @route GET /api/stats
- * @description Get homework statistics
+ * @route GET /api/admin/subscriptions
+ * @description Digest subscriptions (?yearGroup= or ?classId= for one group)
  */
-app.get('/api/stats', requireTeacher, (req, res) => {
+app.get('/api/admin/subscriptions', requireTeacher, requireRole('admin'), async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const teacherEmail = req.session.teacherEmail;
-    
-    // Filter homeworks for the current teacher
-    const teacherHomeworks = homeworks.filter(hw => hw.teacherEmail === teacherEmail);
-    
-    // Calculate statistics
-    const total = teacherHomeworks.length;
-    const completed = teacherHomeworks.filter(hw => hw.completed).length;
-    const pending = total - completed;
-    
-    // Group by subject
-    const bySubject = {};
-    teacherHomeworks.forEach(hw => {
-      const subject = hw.subject || 'Uncategorized';
-      bySubject[subject] = (bySubject[subject] || 0) + 1;
-    });
-    
-    // Group by priority
-    const byPriority = {
-      high: teacherHomeworks.filter(hw => hw.priority === 'high').length,
-      medium: teacherHomeworks.filter(hw => hw.priority === 'medium').length,
-      low: teacherHomeworks.filter(hw => hw.priority === 'low').length
-    };
-    
-    // Group by due date (this week, next week, later)
-    const now = new Date();
-    const oneWeekFromNow = new Date();
-    oneWeekFromNow.setDate(now.getDate() + 7);
-    
-    const byDueDate = {
-      overdue: teacherHomeworks.filter(hw => 
-        !hw.completed && new Date(hw.dueDate) < now
-      ).length,
-      thisWeek: teacherHomeworks.filter(hw => 
-        !hw.completed && 
-        new Date(hw.dueDate) >= now && 
-        new Date(hw.dueDate) <= oneWeekFromNow
-      ).length,
-      later: teacherHomeworks.filter(hw => 
-        !hw.completed && 
-        new Date(hw.dueDate) > oneWeekFromNow
-      ).length
-    };
+    const where = {};
+    if (req.query.yearGroup) where.yearGroup = normalizeYearGroup(req.query.yearGroup);
+    if (req.query.classId) where.classId = req.query.classId;
+    const subscriptions = await storage.subscriptions.find(where, { sort: 'email' });
     
     res.json({
       success: true,
-      data: {
-        total,
-        completed,
-        pending,
-        completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
-        bySubject,
-        byPriority,
-        byDueDate
-      }
+      data: subscriptions
     });
   } catch (error) {
-    console.error('Error getting statistics:', error);
+    console.error('Error getting subscriptions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch statistics',
-      code: 'STATS_ERROR'
+      error: 'Failed to fetch subscriptions',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
-// ==================
-// Export/Import
-// ==================
-
 /**
- * @route GET /api/export
- * @description Export all homeworks as JSON
+ * @route GET /api/admin/subscriptions/summary
+ * @description Subscriber counts for each year group and class, by status
  */
-app.get('/api/export', requireTeacher, (req, res) => {
+app.get('/api/admin/subscriptions/summary', requireTeacher, requireRole('admin'), async (req, res) => {
   try {
-    const homeworks = loadHomeworks();
-    const teacherEmail = req.session.teacherEmail;
+    const [subscriptions, classes] = await Promise.all([
+      storage.subscriptions.find(),
+      storage.classes.find()
+    ]);
+    const classCodes = new Map(classes.map(klass => [klass.id, klass.code]));
     
-    // Filter homeworks for the current teacher
-    const teacherHomeworks = homeworks.filter(hw => hw.teacherEmail === teacherEmail);
-    
-    // Set headers for file download
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename=homework-export-${new Date().toISOString().split('T')[0]}.json`);
+    const groups = new Map();
+    for (const sub of subscriptions) {
+      const key = sub.classId ? `class:${sub.classId}` : `year:${sub.yearGroup}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          yearGroup: sub.yearGroup || null,
+          classId: sub.classId || null,
+          label: groupLabel(sub, classCodes),
+          pending: 0,
+          confirmed: 0,
+          unsubscribed: 0
+        });
+      }
+      groups.get(key)[sub.status]++;
+    }
     
-    // Send the JSON data
-    res.send(JSON.stringify(teacherHomeworks, null, 2));
+    res.json({
+      success: true,
+      data: Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+    });
   } catch (error) {
-    console.error('Error exporting homeworks:', error);
+    console.error('Error summarizing subscriptions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to export homeworks',
-      code: 'EXPORT_ERROR'
+      error: 'Failed to fetch subscription summary',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
 /**
- * @route POST /api/import
- * @description Import homeworks from JSON
+ * @route POST /api/admin/subscriptions
+ * @description Subscribe an email address to digests for year groups and classes:
+ * { email, yearGroups: ["9"], classIds: [...] }. Groups it already has are skipped.
  */
-app.post('/api/import', requireTeacher, upload.single('file'), (req, res) => {
+app.post('/api/admin/subscriptions', requireTeacher, requireRole('admin'), async (req, res) => {
   try {
-    if (!req.file) {
+    const email = normalizeEmail(req.body.email);
+    if (!isValidEmail(email)) {
       return res.status(400).json({
         success: false,
-        error: 'No file uploaded',
-        code: 'NO_FILE'
+        error: 'A valid email address is required',
+        code: 'VALIDATION_ERROR'
       });
     }
     
-    // Read and parse the uploaded file
-    const fileContent = fs.readFileSync(req.file.path, 'utf8');
-    const importedHomeworks = JSON.parse(fileContent);
-    
-    if (!Array.isArray(importedHomeworks)) {
-      // Clean up the uploaded file
-      fs.unlinkSync(req.file.path);
-      
+    const { groups, error } = requestedGroups(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid file format. Expected an array of homeworks.',
-        code: 'INVALID_FORMAT'
+        error,
+        code: 'VALIDATION_ERROR'
       });
     }
     
-    const homeworks = loadHomeworks();
-    const teacherEmail = req.session.teacherEmail;
-    let importedCount = 0;
+    const classIds = groups.filter(g => g.classId).map(g => g.classId);
+    if (classIds.length && (await storage.classes.count({ id: { $in: classIds } })) !== classIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Class not found',
+        code: 'VALIDATION_ERROR'
+      });
+    }
     
-    // Process each imported homework
-    importedHomeworks.forEach(hw => {
-      // Skip if required fields are missing
-      if (!hw.title || !hw.subject || !hw.dueDate) {
-        return;
-      }
-      
-      // Create a new homework with the imported data
-      const newHomework = {
+    const existing = await storage.subscriptions.find({ email });
+    const now = new Date().toISOString();
+    const created = groups
+      .filter(group => !existing.some(sub => isForGroup(sub, group)))
+      .map(group => ({
         id: uuidv4(),
-        title: hw.title,
-        subject: hw.subject,
-        description: hw.description || '',
-        dueDate: hw.dueDate,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        completed: hw.completed || false,
-        priority: hw.priority || 'medium',
-        tags: Array.isArray(hw.tags) ? hw.tags : [],
-        attachments: [], // Don't import attachments
-        teacherEmail,
-        teacherName: req.session.teacherName,
-        yearGroup: hw.yearGroup || null,
-        className: hw.className || null,
-        isRecurring: hw.isRecurring || false,
-        recurrence: hw.recurrence || { type: 'none', interval: 1, daysOfWeek: [] },
-        nextOccurrence: hw.nextOccurrence || null,
-        parentId: null, // Reset parent ID for imported items
-        comments: [] // Don't import comments
-      };
-      
-      homeworks.push(newHomework);
-      importedCount++;
-    });
-    
-    // Save the updated homeworks
-    if (!saveHomeworks(homeworks)) {
-      throw new Error('Failed to save imported homeworks');
+        email,
+        ...group,
+        status: 'confirmed',
+        source: 'admin',
+        createdAt: now,
+        confirmedAt: now
+      }));
+    if (created.length) {
+      await storage.subscriptions.insertMany(created);
     }
     
-    // Clean up the uploaded file
-    fs.unlinkSync(req.file.path);
-    
-    res.json({
+    res.status(201).json({
       success: true,
-      message: `Successfully imported ${importedCount} homeworks`,
-      count: importedCount,
-      total: importedHomeworks.length
+      message: `Added ${created.length} subscriptions`,
+      data: created
     });
   } catch (error) {
-    console.error('Error importing homeworks:', error);
-    
-    // Clean up the uploaded file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    console.error('Error adding subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add subscriptions',
+      code: 'CREATE_ERROR'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/subscriptions/:id
+ * @description Remove a digest subscription
+ */
+app.delete('/api/admin/subscriptions/:id', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await storage.subscriptions.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subscription not found',
+        code: 'NOT_FOUND'
+      });
     }
     
+    res.json({
+      success: true,
+      message: 'Subscription removed'
+    });
+  } catch (error) {
+    console.error('Error removing subscription:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to import homeworks',
-      code: 'IMPORT_ERROR',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: 'Failed to remove subscription',
+      code: 'DELETE_ERROR'
     });
   }
 });
@@ -1550,7 +6695,8 @@ app.post('/api/import', requireTeacher, upload.single('file'), (req, res) => {
 
 /**
  * @route POST /api/notify
- * @description Send email notifications for upcoming homeworks
+ * @description Email a reminder of upcoming homeworks. The email goes through the outbox,
+ * so the response only says it was queued; GET /api/outbox/:id shows whether it was sent.
  */
 app.post('/api/notify', requireTeacher, async (req, res) => {
   try {
@@ -1564,8 +6710,8 @@ app.post('/api/notify', requireTeacher, async (req, res) => {
       });
     }
     
-    const homeworks = loadHomeworks();
     const teacherEmail = req.session.teacherEmail;
+    const homeworks = await storage.homework.find({ teacherEmail });
     const now = new Date();
     const targetDate = new Date();
     targetDate.setDate(now.getDate() + parseInt(daysAhead));
@@ -1592,36 +6738,17 @@ app.post('/api/notify', requireTeacher, async (req, res) => {
       });
     }
     
-    // Prepare email content
-    const emailHtml = `
-      <h2>Upcoming Homeworks - ${targetDate.toDateString()}</h2>
-      <p>You have ${upcomingHomeworks.length} homeworks due soon:</p>
-      <ul>
-        ${upcomingHomeworks.map(hw => `
-          <li>
-            <strong>${hw.title}</strong> (${hw.subject})
-            <br>Due: ${new Date(hw.dueDate).toLocaleString()}
-            ${hw.priority ? `<br>Priority: ${hw.priority}` : ''}
-            ${hw.description ? `<p>${hw.description}</p>` : ''}
-          </li>
-        `).join('')}
-      </ul>
-      <p>Log in to your homework planner for more details.</p>
-    `;
-    
-    // Send email
-    await transporter.sendMail({
-      from: `"Homework Planner" <${process.env.EMAIL_FROM || 'noreply@example.com'}>`,
-      to: recipientEmail,
-      subject: `Upcoming Homeworks - ${targetDate.toDateString()}`,
-      html: emailHtml,
-      text: emailHtml.replace(/<[^>]*>/g, '') // Plain text version
+    const message = await queueEmail(recipientEmail, notificationEmail({ date: targetDate, homeworks: await withDownloadLinks(upcomingHomeworks) }), {
+      kind: 'notification',
+      createdBy: teacherEmail
     });
+    kickOutbox();
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Notification sent successfully to ${recipientEmail}`,
-      count: upcomingHomeworks.length
+      message: `Notification to ${recipientEmail} queued for sending`,
+      count: upcomingHomeworks.length,
+      outboxId: message.id
     });
   } catch (error) {
     console.error('Error sending notification:', error);
@@ -1634,6 +6761,136 @@ app.post('/api/notify', requireTeacher, async (req, res) => {
   }
 });
 
+// ==================
+// Email Outbox
+// ==================
+
+/**
+ * Load the outbox message in :id for the teacher who queued it or an admin
+ */
+async function loadOutboxMessage(req, res, next) {
+  try {
+    const message = await storage.outbox.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    if (req.session.role !== 'admin' &&
+        (message.createdBy || '').toLowerCase() !== req.session.teacherEmail.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this email',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+    req.outboxMessage = message;
+    next();
+  } catch (error) {
+    console.error('Error loading outbox message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email',
+      code: 'FETCH_ERROR'
+    });
+  }
+}
+
+/**
+ * @route GET /api/outbox/:id
+ * @description Delivery status of a queued email
+ */
+app.get('/api/outbox/:id', requireTeacher, loadOutboxMessage, (req, res) => {
+  res.json({
+    success: true,
+    data: publicOutboxMessage(req.outboxMessage)
+  });
+});
+
+/**
+ * @route GET /api/outbox/:id/preview
+ * @description The email as the recipient would see it (?format=text for the plain text version)
+ */
+app.get('/api/outbox/:id/preview', requireTeacher, loadOutboxMessage, (req, res) => {
+  const message = req.outboxMessage;
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(message.text);
+  }
+  // Emails are rendered on the planner's own origin, so nothing in one may run
+  res.set('Content-Security-Policy', "default-src 'none'; img-src data: https:; style-src 'unsafe-inline'");
+  res.type('html').send(message.html);
+});
+
+/**
+ * @route GET /api/admin/outbox
+ * @description Emails in the outbox, newest first (?status=, ?kind=, ?limit= up to 200)
+ */
+app.get('/api/admin/outbox', requireTeacher, requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.kind) where.kind = req.query.kind;
+    const messages = await storage.outbox.find(where, { sort: 'createdAt' });
+    
+    res.json({
+      success: true,
+      transport: mailTransport.mode,
+      data: messages.reverse().slice(0, limit).map(publicOutboxMessage)
+    });
+  } catch (error) {
+    console.error('Error getting outbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch outbox',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/outbox/:id/retry
+ * @description Send a failed or waiting email again now, with a fresh set of attempts
+ */
+app.post('/api/admin/outbox/:id/retry', requireTeacher, requireRole('admin'), loadOutboxMessage, async (req, res) => {
+  try {
+    const message = req.outboxMessage;
+    if (!['queued', 'failed'].includes(message.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `This email is ${message.status} and can't be retried`,
+        code: 'NOT_RETRYABLE'
+      });
+    }
+    
+    const updated = await storage.outbox.update(message.id, {
+      ...message,
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString()
+    });
+    if (updated.digestRunId) {
+      await recordDigestDelivery(updated);
+    }
+    kickOutbox();
+    
+    res.json({
+      success: true,
+      message: 'Email queued for sending',
+      data: publicOutboxMessage(updated)
+    });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry email',
+      code: 'RETRY_ERROR'
+    });
+  }
+});
+
 // ==================
 // Start the server
 // ==================
@@ -1655,8 +6912,60 @@ process.on('uncaughtException', (error) => {
   // process.exit(1);
 });
 
-// Start the server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Homework planner running on port ${PORT}`);
-  console.log(`Access it at: http://localhost:${PORT}`);
-})};
+// Open storage, then start the server
+createStorage({ driver: STORAGE_DRIVER, dataDir: DATA_DIR, sqliteFile: SQLITE_FILE })
+  .then((openedStorage) => {
+    storage = openedStorage;
+    console.log(`Using ${storage.driver} storage`);
+    homeworkSearch.watch(storage.homework, storage.comments, storage.attachments);
+    
+    const runExtendSeries = () => extendSeries().catch(err => console.error('Error extending recurring homework:', err));
+    runExtendSeries();
+    setInterval(runExtendSeries, 12 * 60 * 60 * 1000).unref();
+    
+    const runSweepTrash = () => sweepTrash().catch(err => console.error('Error emptying expired trash:', err));
+    runSweepTrash();
+    setInterval(runSweepTrash, 12 * 60 * 60 * 1000).unref();
+    
+    const runSweepUploads = () => sweepUploads().catch(err => console.error('Error removing orphaned uploads:', err));
+    runSweepUploads();
+    setInterval(runSweepUploads, 12 * 60 * 60 * 1000).unref();
+    
+    const runPruneOutbox = () => pruneOutbox().catch(err => console.error('Error pruning email outbox:', err));
+    runPruneOutbox();
+    setInterval(runPruneOutbox, 12 * 60 * 60 * 1000).unref();
+    
+    const runPruneImports = () => pruneImports().catch(err => console.error('Error pruning import dry runs:', err));
+    runPruneImports();
+    setInterval(runPruneImports, 12 * 60 * 60 * 1000).unref();
+    
+    // Anything caught mid-send by a restart goes out again; sending it twice
+    // beats never sending it
+    storage.outbox.find({ status: 'sending' })
+      .then(stuck => Promise.all(stuck.map(message => storage.outbox.update(message.id, { ...message, status: 'queued' }))))
+      .catch(err => console.error('Error requeuing emails:', err))
+      .finally(kickOutbox);
+    setInterval(kickOutbox, 30 * 1000).unref();
+    
+    // Ticks never overlap, so a slow SMTP server can't send a digest twice
+    let digestsRunning = false;
+    const runDigests = () => {
+      if (digestsRunning) return;
+      digestsRunning = true;
+      runDueDigests()
+        .catch(err => console.error('Error sending digests:', err))
+        .finally(() => { digestsRunning = false; });
+    };
+    runDigests();
+    setInterval(runDigests, 60 * 1000).unref();
+    
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`Homework planner running on port ${PORT}`);
+      console.log(`Access it at: http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error('Failed to open storage:', err);
+    process.exit(1);
+  });
+